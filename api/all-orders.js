@@ -0,0 +1,34 @@
+// api/all-orders.js — GET /api/all-orders
+// One feed of AppSheet orders and Shopify delivery orders, each tagged with
+// Source and de-duplicated (see lib/merge-orders.js). Takes the same query
+// params as /api/orders and shares its cache entries with the two source
+// endpoints, so switching tabs doesn't cost extra upstream calls.
+
+const { allFeed } = require('../lib/order-feeds');
+const { parseFilters } = require('../lib/order-filters');
+const { setCacheHeaders, isRefresh } = require('../lib/cache');
+const { sendError } = require('../lib/errors');
+const { setCors, requireSession } = require('../lib/auth');
+
+module.exports = async (req, res) => {
+  setCors(req, res, 'GET, OPTIONS');
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (!requireSession(req, res)) return;
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+  let filters;
+  try {
+    filters = parseFilters(req.query);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    const result = await allFeed(filters, { refresh: isRefresh(req.query) });
+    setCacheHeaders(res, result);
+    return res.status(200).json(result.value);
+
+  } catch (err) {
+    return sendError(res, err, 'all-orders');
+  }
+};
@@ -0,0 +1,40 @@
+// api/bake-list.js — GET /api/bake-list
+// Production totals for the bakers: line items summed by product, size and
+// flavor across the orders matching the filters, split by pickup window
+// (see lib/bake-list.js). Query: view (orders | delivery | all, default all)
+// plus the same filters as /api/orders. Reads through the shared order cache.
+
+const { FEED_NAMES, loadFeed } = require('../lib/order-feeds');
+const { parseFilters } = require('../lib/order-filters');
+const { buildBakeList } = require('../lib/bake-list');
+const { setCacheHeaders, isRefresh } = require('../lib/cache');
+const { sendError } = require('../lib/errors');
+const { setCors, requireSession } = require('../lib/auth');
+
+module.exports = async (req, res) => {
+  setCors(req, res, 'GET, OPTIONS');
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (!requireSession(req, res)) return;
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+  const view = req.query?.view || 'all';
+  if (!FEED_NAMES.includes(view)) {
+    return res.status(400).json({ error: `Unknown view "${view}"` });
+  }
+
+  let filters;
+  try {
+    filters = parseFilters(req.query);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    const result = await loadFeed(view, filters, { refresh: isRefresh(req.query) });
+    setCacheHeaders(res, result);
+    return res.status(200).json({ view, filters, ...buildBakeList(result.value) });
+
+  } catch (err) {
+    return sendError(res, err, 'bake-list');
+  }
+};
@@ -0,0 +1,70 @@
+// api/calendar.ics.js — GET /api/calendar.ics
+// Subscribable iCalendar feed of pickups and deliveries (see lib/calendar.js)
+// for phone calendars. Calendar apps can't log in, so the URL carries
+// ?token=<CALENDAR_TOKEN>; a logged-in browser works without it.
+// Query:
+//   source       all (default) | appsheet | shopify
+//   type         only this Order Type (e.g. "Custom Cake")
+//   pickupFrom   YYYY-MM-DD, default a week ago
+//   pickupTo     YYYY-MM-DD, default 90 days ahead
+// plus status and customer, as for /api/orders. Reads through the shared
+// order cache, so it's the same data as the orders page.
+//
+// Subscribe with e.g. webcal://<host>/api/calendar.ics?token=…&type=Custom%20Cake
+
+const { loadFeed } = require('../lib/order-feeds');
+const { parseFilters } = require('../lib/order-filters');
+const { buildCalendar } = require('../lib/calendar');
+const { setCacheHeaders } = require('../lib/cache');
+const { sendError } = require('../lib/errors');
+const { setCors, requireSession, hasCalendarToken, requestOrigin } = require('../lib/auth');
+const { businessToday } = require('../lib/timezone');
+
+// ?source= → order feed (lib/order-feeds.js)
+const SOURCES = {
+  all:      'all',
+  appsheet: 'orders',
+  shopify:  'delivery',
+};
+
+const DAYS_BEFORE = 7;
+const DAYS_AHEAD  = 90;
+
+module.exports = async (req, res) => {
+  setCors(req, res, 'GET, OPTIONS');
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (!hasCalendarToken(req) && !requireSession(req, res)) return;
+  if (req.method !== 'GET' && req.method !== 'HEAD') return res.status(405).json({ error: 'Method not allowed' });
+
+  const source = String(req.query?.source || 'all').toLowerCase();
+  if (!SOURCES[source]) {
+    return res.status(400).json({ error: `Unknown source "${source}" — use all, appsheet or shopify` });
+  }
+
+  let filters;
+  try {
+    filters = parseFilters(req.query);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  // Default to recent and upcoming pickups unless asked by order date
+  if (!filters.orderFrom && !filters.orderTo) {
+    if (!filters.pickupFrom) filters.pickupFrom = businessToday(-DAYS_BEFORE);
+    if (!filters.pickupTo)   filters.pickupTo   = businessToday(DAYS_AHEAD);
+  }
+
+  try {
+    const result = await loadFeed(SOURCES[source], filters);
+    const name = ['Bakery', filters.type || (source === 'shopify' ? 'Deliveries' : 'Orders')].join(' ');
+    const ics = buildCalendar(result.value, { name, baseUrl: requestOrigin(req) });
+
+    setCacheHeaders(res, result);
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', 'inline; filename="bakery-orders.ics"');
+    res.setHeader('Cache-Control', 'private, max-age=300');
+    return res.status(200).end(req.method === 'HEAD' ? undefined : ics);
+
+  } catch (err) {
+    return sendError(res, err, 'calendar');
+  }
+};
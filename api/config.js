@@ -0,0 +1,23 @@
+// api/config.js — GET /api/config
+// Settings the pages need from the server environment:
+//   timezone   BUSINESS_TIMEZONE (lib/timezone.js) — pages work out "today"
+//              and show times on the bakery's clock, not the device's
+//   today      the bakery's date right now, YYYY-MM-DD
+//   statuses   order statuses staff can set (ORDER_STATUSES, lib/appsheet.js)
+
+const { businessTimezone, businessToday } = require('../lib/timezone');
+const { orderStatuses } = require('../lib/appsheet');
+const { setCors, requireSession } = require('../lib/auth');
+
+module.exports = async (req, res) => {
+  setCors(req, res, 'GET, OPTIONS');
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (!requireSession(req, res)) return;
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+  return res.status(200).json({
+    timezone: businessTimezone(),
+    today:    businessToday(),
+    statuses: orderStatuses(),
+  });
+};
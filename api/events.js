@@ -0,0 +1,66 @@
+// api/events.js — GET /api/events (Server-Sent Events)
+// Pushes live changes for one view so counter tablets see new orders without
+// tapping Search. Query: view (orders | delivery | all) plus the same date
+// params as /api/orders. Events:
+//   added / changed / removed   data: { order }
+//   poll                        data: { interval } — this host can't hold the
+//                               stream open (Vercel); poll the view endpoint instead
+//
+// Local server.js keeps the connection open; serverless functions are cut off
+// after a few seconds and don't share memory, so there we answer with "poll".
+
+const { FEED_NAMES } = require('../lib/order-feeds');
+const { subscribe } = require('../lib/live-orders');
+const { parseFilters } = require('../lib/order-filters');
+const { setCors, requireSession } = require('../lib/auth');
+
+const POLL_INTERVAL = parseInt(process.env.ORDERS_LIVE_INTERVAL, 10) || 15;
+const HEARTBEAT_MS  = 25 * 1000;
+
+function sendEvent(res, type, data) {
+  res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+module.exports = async (req, res) => {
+  setCors(req, res, 'GET, OPTIONS');
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (!requireSession(req, res)) return;
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+  const view = req.query?.view || 'orders';
+  if (!FEED_NAMES.includes(view)) {
+    return res.status(400).json({ error: `Unknown view "${view}"` });
+  }
+
+  let filters;
+  try {
+    filters = parseFilters(req.query);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  res.writeHead(200, {
+    'Content-Type':      'text/event-stream',
+    'Cache-Control':     'no-cache, no-transform',
+    'Connection':        'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+
+  if (process.env.VERCEL) {
+    sendEvent(res, 'poll', { interval: POLL_INTERVAL });
+    return res.end();
+  }
+
+  res.write('retry: 5000\n\n');
+  sendEvent(res, 'ready', { view });
+
+  const unsubscribe = subscribe(view, filters, changes => {
+    changes.forEach(({ type, order }) => sendEvent(res, type, { order }));
+  });
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+};
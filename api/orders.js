@@ -1,68 +1,55 @@
-// api/orders.js — GET /api/orders
-// Fetches all orders from AppSheet and joins line items from Bakery Products Ordered
-
-const fetch = require('node-fetch');
-
-async function appsheetFind(appId, apiKey, tableName) {
-  const url = `https://api.appsheet.com/api/v2/apps/${appId}/tables/${encodeURIComponent(tableName)}/Action`;
-  const response = await fetch(url, {
-    method: 'POST',
-    headers: {
-      'ApplicationAccessKey': apiKey,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify({
-      Action: 'Find',
-      Properties: { Locale: 'en-US', Timezone: 'US/Central' },
-      Rows: []
-    })
-  });
+// api/orders.js — GET /api/orders, PATCH /api/orders
+// GET fetches orders from AppSheet, joins line items from Bakery Products
+// Ordered and maps columns to the order model (lib/field-map.js). Optional query params (pickupFrom, pickupTo, orderFrom, orderTo,
+// status, type, customer) become an AppSheet Selector so only matching rows are
+// returned.
+// PATCH { ids: [OrderID, ...], status } sets Status on several orders at once.
+
+const { orderStatuses, updateOrderStatus } = require('../lib/appsheet');
+const { appsheetFeed } = require('../lib/order-feeds');
+const { parseFilters } = require('../lib/order-filters');
+const { setCacheHeaders, isRefresh, invalidate } = require('../lib/cache');
+const { sendError } = require('../lib/errors');
+const { setCors, requireSession } = require('../lib/auth');
+
+async function bulkUpdateStatus(req, res) {
+  const { ids, status } = req.body || {};
+  if (!Array.isArray(ids) || ids.length === 0) {
+    return res.status(400).json({ error: 'ids must be a non-empty array of OrderIDs' });
+  }
+  if (!orderStatuses().includes(status)) {
+    return res.status(400).json({ error: `Invalid status "${status}"`, allowed: orderStatuses() });
+  }
 
-  const data = await response.json();
-  if (data?.error) throw new Error(data.error);
-  return Array.isArray(data) ? data : (data?.rows ?? []);
+  try {
+    const updated = await updateOrderStatus(ids.map(String), status);
+    invalidate('orders');
+    return res.status(200).json({ updated });
+  } catch (err) {
+    return sendError(res, err, 'orders');
+  }
 }
 
 module.exports = async (req, res) => {
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  setCors(req, res, 'GET, PATCH, OPTIONS');
   if (req.method === 'OPTIONS') return res.status(200).end();
+  if (!requireSession(req, res)) return;
+  if (req.method === 'PATCH') return bulkUpdateStatus(req, res);
   if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
 
-  const appId         = process.env.APPSHEET_APP_ID;
-  const apiKey        = process.env.APPSHEET_API_KEY;
-  const ordersTable   = process.env.APPSHEET_TABLE_NAME        || 'Customer Orders';
-  const lineItemsTable = process.env.APPSHEET_LINE_ITEMS_TABLE || 'Bakery Products Ordered';
-
+  let filters;
   try {
-    // Fetch orders and line items in parallel
-    const [orders, lineItems] = await Promise.all([
-      appsheetFind(appId, apiKey, ordersTable),
-      appsheetFind(appId, apiKey, lineItemsTable)
-    ]);
-
-    // Join on OrderID (FK in both tables)
-    const itemsByOrder = {};
-    lineItems.forEach(item => {
-      const key = String(item['OrderID'] || '');
-      if (!key) return;
-      if (!itemsByOrder[key]) itemsByOrder[key] = [];
-      itemsByOrder[key].push(item);
-    });
-
-    // Attach line items to each order
-    const ordersWithItems = orders.map(order => {
-      const key = String(order['OrderID'] || '');
-      return {
-        ...order,
-        'Line Items': itemsByOrder[key] || []
-      };
-    });
+    filters = parseFilters(req.query);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
 
-    return res.status(200).json(ordersWithItems);
+  try {
+    const result = await appsheetFeed(filters, { refresh: isRefresh(req.query) });
+    setCacheHeaders(res, result);
+    return res.status(200).json(result.value);
 
   } catch (err) {
-    console.error('[orders] AppSheet API error:', err.message);
-    return res.status(500).json({ error: err.message });
+    return sendError(res, err, 'orders');
   }
 };
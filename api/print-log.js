@@ -0,0 +1,49 @@
+// api/print-log.js — GET / POST /api/print-log
+// Records prints so staff can see a slip already came off the printer.
+// GET   ?keys=Shopify:123,OrderID:A1F3C9  → { summary: { key: { count, lastAt, lastBy, lastDevice } } }
+// GET   ?key=OrderID:A1F3C9               → { entries: [...] }  (one order's history)
+// POST  { orders: [{ key, order }], device, template }
+//       → { summary } for those orders. Keys come from printKey() in
+//       public/print-templates.js; see lib/print-log.js for the fields.
+// /api/print logs its PDFs itself.
+
+const { recordPrints, summarize, entriesFor } = require('../lib/print-log');
+const { sendError } = require('../lib/errors');
+const { setCors, requireSession } = require('../lib/auth');
+
+// Printing "all" on a busy day is a few hundred slips at most
+const MAX_ORDERS = 500;
+
+module.exports = async (req, res) => {
+  setCors(req, res, 'GET, POST, OPTIONS');
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  const session = requireSession(req, res);
+  if (!session) return;
+
+  try {
+    if (req.method === 'GET') {
+      if (req.query?.key) return res.status(200).json({ entries: entriesFor(req.query.key) });
+      const keys = String(req.query?.keys || '').split(',').map(s => s.trim()).filter(Boolean);
+      return res.status(200).json({ summary: keys.length ? summarize(keys) : {} });
+    }
+
+    if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+    const orders = Array.isArray(req.body?.orders)
+      ? req.body.orders.filter(o => o && typeof o.key === 'string' && o.key)
+      : [];
+    if (orders.length === 0) return res.status(400).json({ error: 'orders must list at least one { key }' });
+    if (orders.length > MAX_ORDERS) return res.status(400).json({ error: `At most ${MAX_ORDERS} orders per print` });
+
+    recordPrints(orders, {
+      by:       session.name,
+      device:   typeof req.body.device === 'string' ? req.body.device.slice(0, 60) : null,
+      template: typeof req.body.template === 'string' ? req.body.template.slice(0, 20) : null,
+      via:      'browser',
+    });
+    return res.status(201).json({ summary: summarize(orders.map(o => o.key)) });
+
+  } catch (err) {
+    return sendError(res, err, 'print-log');
+  }
+};
@@ -0,0 +1,97 @@
+// api/print.js — POST /api/print, GET /api/print?ids=...
+// Renders packing slips, bakery sheets and driver's copies to one PDF with the
+// same markup the browser prints (public/print-templates.js), so output is the
+// same on every device and can be emailed or archived.
+//
+// POST { ids: [OrderID | _RowNumber | #ShopifyName, ...], device? }
+//   device only labels the print log entry
+// GET  ?ids=A1F3C9,%234817 — handy for links
+// Always the designer's shared template (/api/store/printTemplate), then the
+// default: only leads may change what the server renders (lib/store.js).
+// Responds with application/pdf; 503 if no Chrome is installed (see lib/pdf.js).
+// Each PDF is recorded in the print log (lib/print-log.js).
+
+const { findOrder } = require('../lib/appsheet');
+const { isShopifyConfigured, findShopifyOrder } = require('../lib/shopify');
+const { chromePath, printDocument, renderPdf } = require('../lib/pdf');
+const { sendError } = require('../lib/errors');
+const { getDocument } = require('../lib/store');
+const { recordPrints } = require('../lib/print-log');
+const { setCors, requireSession } = require('../lib/auth');
+const { DEFAULT_TEMPLATE, renderOrderForPrint, printKey } = require('../public/print-templates');
+const { businessToday } = require('../lib/timezone');
+
+// One PDF shouldn't tie up the renderer for minutes
+const MAX_ORDERS = 200;
+
+function requestedIds(req) {
+  if (req.method === 'GET') {
+    return String(req.query?.ids || '').split(',').map(s => s.trim()).filter(Boolean);
+  }
+  const ids = req.body?.ids;
+  return Array.isArray(ids) ? ids.map(id => String(id).trim()).filter(Boolean) : [];
+}
+
+function lookup(id) {
+  if (id.startsWith('#')) return isShopifyConfigured() ? findShopifyOrder(id) : Promise.resolve(null);
+  return findOrder(id);
+}
+
+module.exports = async (req, res) => {
+  setCors(req, res, 'GET, POST, OPTIONS');
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  const session = requireSession(req, res);
+  if (!session) return;
+  if (req.method !== 'GET' && req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  const ids = requestedIds(req);
+  if (ids.length === 0) {
+    return res.status(400).json({ error: 'ids must list at least one order' });
+  }
+  if (ids.length > MAX_ORDERS) {
+    return res.status(400).json({ error: `At most ${MAX_ORDERS} orders per PDF` });
+  }
+
+  const shared = getDocument('printTemplate');
+  const template = shared.data || DEFAULT_TEMPLATE;
+  // Same labels the browser logs: 'default' or 'v<store version>'
+  const templateLabel = shared.data ? `v${shared.version}` : 'default';
+
+  if (!chromePath()) {
+    return res.status(503).json({
+      error: 'PDF printing needs Chrome or Chromium on the server — install it or set CHROME_PATH',
+      code: 'pdf_unavailable',
+    });
+  }
+
+  try {
+    // Sequential keeps AppSheet calls gentle; print batches are small
+    const orders = [];
+    for (const id of ids) orders.push(await lookup(id));
+
+    const missing = ids.filter((id, i) => !orders[i]);
+    if (missing.length) {
+      return res.status(404).json({ error: `Order not found: ${missing.join(', ')}`, code: 'not_found', missing });
+    }
+
+    const html = printDocument(orders.map(o => renderOrderForPrint(o, template)).join(''));
+    const pdf  = await renderPdf(html);
+
+    recordPrints(orders.map((o, i) => ({ key: printKey(o), order: ids[i] })), {
+      by:       session.name,
+      device:   req.method === 'POST' && typeof req.body?.device === 'string' ? req.body.device.slice(0, 60) : null,
+      template: templateLabel,
+      via:      'pdf',
+    });
+
+    const stamp = businessToday();
+    const name  = ids.length === 1 ? `order-${ids[0].replace(/[^\w-]/g, '')}` : `orders-${stamp}`;
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${name}.pdf"`);
+    res.setHeader('Content-Length', pdf.length);
+    return res.status(200).end(pdf);
+
+  } catch (err) {
+    return sendError(res, err, 'print');
+  }
+};
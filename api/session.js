@@ -0,0 +1,58 @@
+// api/session.js — GET / POST / DELETE /api/session
+// GET     who is logged in → { name, role, pages, actions }, or 401
+//         pages / actions: what this role may open and do (lib/auth.js)
+// POST    { name, pin } log in; sets the signed session cookie
+// DELETE  log out; clears the cookie
+// See lib/auth.js for accounts and settings.
+
+const {
+  authDisabled, staffAccounts, sessionSecret, findAccount,
+  lockedFor, recordFailure, clearFailures,
+  createSessionToken, setSessionCookie, getSession, permissions, setCors,
+} = require('../lib/auth');
+
+function login(req, res) {
+  const wait = lockedFor(req);
+  if (wait) {
+    res.setHeader('Retry-After', String(wait));
+    return res.status(429).json({ error: `Too many attempts — try again in ${Math.ceil(wait / 60)} min`, code: 'locked' });
+  }
+
+  if (staffAccounts().length === 0 || !sessionSecret()) {
+    return res.status(503).json({ error: 'Staff logins are not set up (STAFF_ACCOUNTS, SESSION_SECRET)', code: 'not_configured' });
+  }
+
+  const { name, pin, password } = req.body || {};
+  const account = findAccount(name, pin ?? password);
+  if (!account) {
+    recordFailure(req);
+    return res.status(401).json({ error: 'Wrong name or PIN', code: 'bad_credentials' });
+  }
+
+  clearFailures(req);
+  setSessionCookie(req, res, createSessionToken(account));
+  return res.status(200).json({ name: account.name });
+}
+
+module.exports = async (req, res) => {
+  setCors(req, res, 'GET, POST, DELETE, OPTIONS');
+  if (req.method === 'OPTIONS') return res.status(200).end();
+
+  if (req.method === 'POST') return login(req, res);
+
+  if (req.method === 'DELETE') {
+    setSessionCookie(req, res, null);
+    return res.status(200).json({ ok: true });
+  }
+
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+  const session = getSession(req);
+  if (!session) return res.status(401).json({ error: 'Please log in', code: 'unauthenticated' });
+  return res.status(200).json({
+    name: session.name,
+    role: session.role,
+    authDisabled: authDisabled(),
+    ...permissions(session),
+  });
+};
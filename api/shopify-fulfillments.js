@@ -0,0 +1,34 @@
+// api/shopify-fulfillments.js — POST /api/shopify-fulfillments
+// Marks Shopify delivery orders fulfilled through their fulfillment orders.
+// Body: { ids: [ShopifyID, ...], notifyCustomer: boolean }
+// Responds with per-order results so a partial failure can be shown to staff.
+
+const { isShopifyConfigured, fulfillOrders } = require('../lib/shopify');
+const { invalidate } = require('../lib/cache');
+const { setCors, requireSession } = require('../lib/auth');
+
+module.exports = async (req, res) => {
+  setCors(req, res, 'POST, OPTIONS');
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (!requireSession(req, res)) return;
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  if (!isShopifyConfigured()) {
+    return res.status(503).json({ error: 'Shopify is not configured' });
+  }
+
+  const { ids, notifyCustomer } = req.body || {};
+  if (!Array.isArray(ids) || ids.length === 0 || ids.some(id => !/^\d+$/.test(String(id)))) {
+    return res.status(400).json({ error: 'ids must be a non-empty array of Shopify order ids' });
+  }
+
+  try {
+    const results = await fulfillOrders(ids.map(String), { notifyCustomer: !!notifyCustomer });
+    invalidate('shopify-orders');
+    const failed = results.filter(r => r.status === 'error').length;
+    return res.status(200).json({ results, failed });
+  } catch (err) {
+    console.error('[shopify-fulfillments] API error:', err.message);
+    return res.status(500).json({ error: err.message });
+  }
+};
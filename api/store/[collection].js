@@ -0,0 +1,77 @@
+// api/store/[collection].js — GET / PUT / DELETE /api/store/:collection
+// Shared data for the management pages (see lib/store.js for collections).
+// GET     → { version, updatedAt, updatedBy, data }  (version 0 = never saved)
+// PUT     { version, data, restore? } — version is the one you loaded; a stale
+//         one gets 409 { code: 'conflict', current } so the page can reload and
+//         redo. restore: true marks putting back an older version; data that
+//         matches one the server replaced counts as a restore anyway
+// DELETE  ?version= — drop the document (the designer's Reset)
+//
+// Saving needs a lead; dropping stations or checklists, a restore or a reset
+// needs the matching manager action (lib/auth.js).
+
+const {
+  COLLECTIONS, ConflictError, getDocument, isPastVersion, saveDocument, deleteDocument, removedIds,
+} = require('../../lib/store');
+const { setCors, requireSession, requireAction, hasRole } = require('../../lib/auth');
+const { sendError } = require('../../lib/errors');
+
+function conflict(res, err) {
+  return res.status(409).json({ error: err.message, code: 'conflict', current: err.current });
+}
+
+module.exports = async (req, res) => {
+  setCors(req, res, 'GET, PUT, DELETE, OPTIONS');
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  const session = requireSession(req, res);
+  if (!session) return;
+
+  const name = req.query?.collection;
+  const settings = COLLECTIONS[name];
+  if (!settings) return res.status(404).json({ error: `Unknown collection "${name}"`, code: 'not_found' });
+
+  try {
+    if (req.method === 'GET') {
+      return res.status(200).json(getDocument(name));
+    }
+
+    if (req.method !== 'PUT' && req.method !== 'DELETE') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    if (!hasRole(session, settings.writeRole)) {
+      return res.status(403).json({ error: `Your role (${session.role}) can't change this`, code: 'forbidden' });
+    }
+
+    if (req.method === 'DELETE') {
+      if (!settings.resetAction) return res.status(405).json({ error: `${name} can't be deleted` });
+      if (!requireAction(req, res, settings.resetAction)) return;
+      const version = req.query.version !== undefined ? parseInt(req.query.version, 10) : undefined;
+      return res.status(200).json(await deleteDocument(name, version));
+    }
+
+    const { version, data, restore } = req.body || {};
+    if (!Number.isInteger(version) || data === undefined) {
+      return res.status(400).json({ error: 'Body must be { version, data }' });
+    }
+
+    // Check the version first so a stale save is a conflict, not a 403
+    const current = getDocument(name);
+    if (version !== current.version) return conflict(res, new ConflictError(current));
+    if (restore && !settings.restoreAction) {
+      return res.status(400).json({ error: `${name} has no versions to restore` });
+    }
+    if (settings.restoreAction && (restore || isPastVersion(name, data))) {
+      if (!requireAction(req, res, settings.restoreAction)) return;
+    }
+    if (settings.removeAction && removedIds(current.data, data).length) {
+      if (!requireAction(req, res, settings.removeAction)) return;
+    }
+
+    return res.status(200).json(await saveDocument(name, data, version, session.name));
+
+  } catch (err) {
+    if (err instanceof ConflictError) return conflict(res, err);
+    return sendError(res, err, 'store');
+  }
+};
@@ -0,0 +1,88 @@
+// api/webhooks/shopify.js — POST /api/webhooks/shopify
+// Receives Shopify order webhooks (orders/create, orders/updated,
+// orders/cancelled, orders/fulfilled) and patches the cached delivery lists so
+// the Delivery view picks up changes without waiting for the cache to expire.
+//
+// Every request must carry a valid X-Shopify-Hmac-Sha256 signature: base64
+// HMAC-SHA256 of the raw body keyed with SHOPIFY_WEBHOOK_SECRET (falls back to
+// SHOPIFY_CLIENT_SECRET, which is what Shopify signs app webhooks with).
+
+const crypto = require('crypto');
+const { hasDeliveryTag, normalizeOrder } = require('../../lib/shopify');
+const { matchesFilters } = require('../../lib/order-filters');
+const { patchCached } = require('../../lib/cache');
+const { isDemoMode, demoRows } = require('../../lib/demo');
+
+const TOPICS = ['orders/create', 'orders/updated', 'orders/cancelled', 'orders/fulfilled'];
+
+function webhookSecret() {
+  return process.env.SHOPIFY_WEBHOOK_SECRET || process.env.SHOPIFY_CLIENT_SECRET || '';
+}
+
+// server.js buffers req.rawBody. On Vercel req.body is only parsed when first
+// read, which this never does, so the stream still holds the signed bytes.
+function readRawBody(req) {
+  if (Buffer.isBuffer(req.rawBody)) return Promise.resolve(req.rawBody);
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', c => chunks.push(c));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+function verifyHmac(rawBody, signature, secret) {
+  if (!secret || !signature) return false;
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest();
+  const given    = Buffer.from(String(signature), 'base64');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// Replace (or drop) one order in a cached delivery list
+function applyOrder(list, raw, meta = {}) {
+  const rest     = list.filter(o => String(o['ShopifyID']) !== String(raw.id));
+  const existing = list.find(o => String(o['ShopifyID']) === String(raw.id));
+  if (!hasDeliveryTag(raw)) return rest;
+
+  const rowNumber = existing
+    ? existing['_RowNumber']
+    : list.reduce((max, o) => Math.max(max, o['_RowNumber'] || 0), 0) + 1;
+  const order = normalizeOrder(raw, rowNumber - 1);
+  if (!matchesFilters(order, meta.filters || {})) return rest;
+
+  return existing
+    ? list.map(o => (o === existing ? order : o))
+    : rest.concat(order);
+}
+
+module.exports = async (req, res) => {
+  // Called by Shopify, not a browser: no CORS, no session — the HMAC is the auth
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  try {
+    const rawBody = await readRawBody(req);
+    if (!verifyHmac(rawBody, req.headers['x-shopify-hmac-sha256'], webhookSecret())) {
+      return res.status(401).json({ error: 'Invalid webhook signature' });
+    }
+
+    const topic = req.headers['x-shopify-topic'];
+    if (!TOPICS.includes(topic)) {
+      // Acknowledge so Shopify doesn't retry topics we don't use
+      return res.status(200).json({ ok: true, ignored: topic || null });
+    }
+
+    const raw = JSON.parse(rawBody.toString('utf8'));
+    if (isDemoMode()) {
+      // Keep the fixture rows in step so a cache miss returns the same data
+      const rows = demoRows('shopify');
+      const i = rows.findIndex(o => String(o.id) === String(raw.id));
+      if (i >= 0) rows[i] = raw; else rows.push(raw);
+    }
+    patchCached('shopify-orders', (list, meta) => applyOrder(list, raw, meta));
+
+    return res.status(200).json({ ok: true, topic, order: raw.name || raw.id });
+  } catch (err) {
+    console.error('[webhook] Shopify webhook error:', err.message);
+    return res.status(400).json({ error: err.message });
+  }
+};
@@ -0,0 +1,161 @@
+// lib/appsheet-client.js — AppSheet API v2 calls with timeouts, retries and a
+// circuit breaker. Failures are thrown as the typed errors in lib/errors.js.
+//
+//   APPSHEET_TIMEOUT_MS     per-attempt timeout                 (default 15000)
+//   APPSHEET_RETRIES        extra attempts on retryable errors  (default 2)
+//   APPSHEET_BREAKER_LIMIT  consecutive failed calls that open
+//                           the circuit                         (default 5)
+//   APPSHEET_BREAKER_RESET  seconds the circuit stays open      (default 30)
+//   APPSHEET_BASE_URL       API host (default https://api.appsheet.com);
+//                           http://localhost:4010 for scripts/mock-upstream.js
+//
+// Retryable: timeouts, network errors, 429, 5xx and non-JSON responses.
+// Auth and not-found answers fail immediately — retrying won't fix them.
+// Only Find is retried on all of those: a write (Edit, Add, ...) that timed out
+// may still have landed, so it's only retried when AppSheet never got it
+// (connection refused, DNS failure, 429).
+
+const fetch = require('node-fetch');
+const { UpstreamError, AuthError, QuotaError, NotFoundError, UpstreamDownError } = require('./errors');
+const { businessTimezone } = require('./timezone');
+
+const TIMEOUT_MS    = parseInt(process.env.APPSHEET_TIMEOUT_MS, 10) || 15000;
+// 0 turns retries off; anything that isn't a whole number keeps the default
+const RETRIES       = /^\d+$/.test(String(process.env.APPSHEET_RETRIES ?? '').trim())
+  ? parseInt(process.env.APPSHEET_RETRIES, 10)
+  : 2;
+const BREAKER_LIMIT = parseInt(process.env.APPSHEET_BREAKER_LIMIT, 10) || 5;
+const BREAKER_RESET = (parseInt(process.env.APPSHEET_BREAKER_RESET, 10) || 30) * 1000;
+const BACKOFF_MS    = 500;
+const DEFAULT_BASE_URL = 'https://api.appsheet.com';
+
+// Shared by every call in this process
+const breaker = { failures: 0, openUntil: 0 };
+
+// Connection failures that happen before anything is sent
+const NOT_SENT_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// 500ms, 1s, 2s, ... with jitter so several tablets don't retry in lockstep
+function backoff(attempt) {
+  return BACKOFF_MS * 2 ** attempt * (0.75 + Math.random() * 0.5);
+}
+
+function retryAfterSeconds(response) {
+  const value = parseInt(response.headers.get('retry-after'), 10);
+  return Number.isFinite(value) && value > 0 ? value : undefined;
+}
+
+// AppSheet puts the reason in different places depending on the failure
+function upstreamMessage(data, text) {
+  return data?.error || data?.Message || data?.message || data?.title || text.slice(0, 200);
+}
+
+// One HTTP attempt → rows, or a typed error
+async function attempt(url, apiKey, payload) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), TIMEOUT_MS);
+
+  let response, text;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'ApplicationAccessKey': apiKey,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(payload),
+      signal: controller.signal,
+    });
+    text = await response.text();
+  } catch (err) {
+    const down = new UpstreamDownError(err.name === 'AbortError'
+      ? `AppSheet did not respond within ${TIMEOUT_MS / 1000}s`
+      : `Could not reach AppSheet: ${err.message}`);
+    // The request never left, so even a write is safe to send again
+    down.notSent = NOT_SENT_CODES.includes(err.code);
+    throw down;
+  } finally {
+    clearTimeout(timer);
+  }
+
+  let data = null;
+  try {
+    data = text ? JSON.parse(text) : null;
+  } catch {
+    // handled below
+  }
+
+  const { status } = response;
+  const message = upstreamMessage(data, text);
+  if (status === 401 || status === 403) throw new AuthError(`AppSheet rejected the access key (${status}): ${message}`);
+  if (status === 404) throw new NotFoundError(`AppSheet app or table not found: ${message}`);
+  if (status === 429) throw new QuotaError('AppSheet rate limit reached', { retryAfter: retryAfterSeconds(response) });
+  if (status >= 500)  throw new UpstreamDownError(`AppSheet error ${status}: ${message}`);
+  if (status >= 400)  throw new UpstreamError(`AppSheet rejected the request (${status}): ${message}`);
+
+  // A 200 with an empty or HTML body usually means AppSheet is having a bad day
+  if (data === null && text) throw new UpstreamDownError('AppSheet returned a non-JSON response');
+  if (data?.error) throw new UpstreamError(`AppSheet error: ${data.error}`);
+
+  return Array.isArray(data) ? data : (data?.rows ?? data?.Rows ?? []);
+}
+
+// Don't hold a request open for a long Retry-After; let the caller try later
+const MAX_RETRY_WAIT = 10;
+
+function isRetryable(err) {
+  if (err instanceof QuotaError) return !(err.retryAfter > MAX_RETRY_WAIT);
+  return err instanceof UpstreamDownError;
+}
+
+// Reads can always be repeated; writes only if AppSheet didn't get them
+function canRetry(err, action) {
+  if (!isRetryable(err)) return false;
+  return action === 'Find' || err instanceof QuotaError || !!err.notSent;
+}
+
+// POST an Action (Find, Edit, ...) to a table and return the affected rows
+async function appsheetAction(appId, apiKey, tableName, action, { selector, rows = [] } = {}) {
+  if (Date.now() < breaker.openUntil) {
+    const retryAfter = Math.ceil((breaker.openUntil - Date.now()) / 1000);
+    throw new UpstreamDownError('AppSheet is unavailable — pausing requests after repeated failures', { retryAfter });
+  }
+
+  const base = (process.env.APPSHEET_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+  const url = `${base}/api/v2/apps/${appId}/tables/${encodeURIComponent(tableName)}/Action`;
+  // Dates and times come back on the bakery's clock (BUSINESS_TIMEZONE)
+  const properties = { Locale: 'en-US', Timezone: businessTimezone() };
+  if (selector) properties.Selector = selector;
+  const payload = { Action: action, Properties: properties, Rows: rows };
+
+  for (let i = 0; ; i++) {
+    try {
+      const result = await attempt(url, apiKey, payload);
+      breaker.failures = 0;
+      return result;
+    } catch (err) {
+      if (canRetry(err, action) && i < RETRIES) {
+        const wait = err.retryAfter ? err.retryAfter * 1000 : backoff(i);
+        console.warn(`[appsheet] ${action} ${tableName} failed (${err.message}); retry ${i + 1} in ${Math.round(wait)}ms`);
+        await sleep(wait);
+        continue;
+      }
+      if (isRetryable(err) && ++breaker.failures >= BREAKER_LIMIT) {
+        breaker.openUntil = Date.now() + BREAKER_RESET;
+        console.error(`[appsheet] Circuit open for ${BREAKER_RESET / 1000}s after ${breaker.failures} failed calls`);
+      }
+      throw err;
+    }
+  }
+}
+
+function appsheetFind(appId, apiKey, tableName, selector) {
+  return appsheetAction(appId, apiKey, tableName, 'Find', { selector });
+}
+
+module.exports = {
+  appsheetAction,
+  appsheetFind,
+};
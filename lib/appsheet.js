@@ -0,0 +1,143 @@
+// lib/appsheet.js — shared AppSheet access for the order endpoints
+// Find calls against "Customer Orders", the "Bakery Products Ordered" join, and
+// Edit write-back of order status. HTTP goes through lib/appsheet-client.js
+// (timeouts, retries, typed errors). Falls back to fixtures when demo mode is
+// on (see lib/demo.js).
+
+const { appsheetAction, appsheetFind } = require('./appsheet-client');
+const { hasFilters, matchesFilters, ordersSelector, lineItemsSelector, orderLookupSelector } = require('./order-filters');
+const { isDemoMode, demoRows } = require('./demo');
+const { toModel, rowsToModel, toColumns } = require('./field-map');
+
+// Keep each IN(..., LIST(...)) selector to a reasonable size
+const LINE_ITEM_BATCH = 100;
+
+// Statuses staff can set from the app (ORDER_STATUSES=comma,separated overrides)
+const DEFAULT_STATUSES = ['Pending', 'In Production', 'Ready', 'Picked Up', 'Cancelled'];
+
+function appsheetConfig() {
+  return {
+    appId:          process.env.APPSHEET_APP_ID,
+    apiKey:         process.env.APPSHEET_API_KEY,
+    ordersTable:    process.env.APPSHEET_TABLE_NAME        || 'Customer Orders',
+    lineItemsTable: process.env.APPSHEET_LINE_ITEMS_TABLE || 'Bakery Products Ordered',
+  };
+}
+
+function orderStatuses() {
+  const list = (process.env.ORDER_STATUSES || '').split(',').map(s => s.trim()).filter(Boolean);
+  return list.length ? list : DEFAULT_STATUSES;
+}
+
+// Fetch only the line items belonging to the given orders, in batches
+async function findLineItemsFor(config, orderIds) {
+  const { appId, apiKey, lineItemsTable } = config;
+  const batches = [];
+  for (let i = 0; i < orderIds.length; i += LINE_ITEM_BATCH) {
+    const ids = orderIds.slice(i, i + LINE_ITEM_BATCH);
+    batches.push(appsheetFind(appId, apiKey, lineItemsTable, lineItemsSelector(lineItemsTable, ids)));
+  }
+  return rowsToModel('lineItems', (await Promise.all(batches)).flat());
+}
+
+function orderIdsOf(orders) {
+  return [...new Set(orders.map(o => String(o['OrderID'] || '')).filter(Boolean))];
+}
+
+// Attach 'Line Items' to each order, joined on OrderID (FK in both tables),
+// and tag it with its Source for the merged feed
+function joinLineItems(orders, lineItems) {
+  const itemsByOrder = {};
+  lineItems.forEach(item => {
+    const key = String(item['OrderID'] || '');
+    if (!key) return;
+    if (!itemsByOrder[key]) itemsByOrder[key] = [];
+    itemsByOrder[key].push(item);
+  });
+
+  return orders.map(order => {
+    const key = String(order['OrderID'] || '');
+    return {
+      ...order,
+      'Source': 'AppSheet',
+      'Line Items': itemsByOrder[key] || []
+    };
+  });
+}
+
+// Orders matching the filters, each with its 'Line Items' attached
+async function loadOrders(filters, config = appsheetConfig()) {
+  if (isDemoMode()) {
+    const orders = demoRows('orders').filter(o => matchesFilters(o, filters));
+    return joinLineItems(orders, demoRows('lineItems'));
+  }
+
+  const { appId, apiKey, ordersTable, lineItemsTable } = config;
+  let orders, lineItems;
+
+  if (hasFilters(filters)) {
+    // Filter orders first, then fetch only their line items
+    orders = rowsToModel('orders', await appsheetFind(appId, apiKey, ordersTable, ordersSelector(ordersTable, filters)));
+    const orderIds = orderIdsOf(orders);
+    lineItems = orderIds.length ? await findLineItemsFor(config, orderIds) : [];
+  } else {
+    // No filters — fetch orders and line items in parallel
+    [orders, lineItems] = await Promise.all([
+      appsheetFind(appId, apiKey, ordersTable).then(rows => rowsToModel('orders', rows)),
+      appsheetFind(appId, apiKey, lineItemsTable).then(rows => rowsToModel('lineItems', rows))
+    ]);
+  }
+
+  return joinLineItems(orders, lineItems);
+}
+
+// A single order by _RowNumber or OrderID, with line items — or null
+async function findOrder(id, config = appsheetConfig()) {
+  if (isDemoMode()) {
+    const order = demoRows('orders').find(o => String(o['OrderID']) === String(id))
+      || demoRows('orders').find(o => String(o._RowNumber) === String(id));
+    return order ? joinLineItems([order], demoRows('lineItems'))[0] : null;
+  }
+
+  const { appId, apiKey, ordersTable } = config;
+  const rows = rowsToModel('orders', await appsheetFind(appId, apiKey, ordersTable, orderLookupSelector(ordersTable, id)));
+  if (rows.length === 0) return null;
+
+  // Prefer an exact OrderID match over a _RowNumber hit
+  const order = rows.find(r => String(r['OrderID']) === String(id)) || rows[0];
+  const lineItems = await findLineItemsFor(config, orderIdsOf([order]));
+  return joinLineItems([order], lineItems)[0];
+}
+
+// Set Status on one or more orders via the Edit action. OrderID is the key
+// column of Customer Orders (whatever it's called there — see
+// lib/field-map.js). Returns the edited rows as { OrderID, Status }.
+async function updateOrderStatus(orderIds, status, config = appsheetConfig()) {
+  if (isDemoMode()) {
+    const wanted = new Set(orderIds.map(String));
+    return demoRows('orders')
+      .filter(o => wanted.has(String(o['OrderID'])))
+      .map(o => {
+        o['Status'] = status;
+        return { 'OrderID': o['OrderID'], 'Status': status };
+      });
+  }
+
+  const { appId, apiKey, ordersTable } = config;
+  const rows = orderIds.map(id => toColumns('orders', { 'OrderID': id, 'Status': status }));
+  const edited = await appsheetAction(appId, apiKey, ordersTable, 'Edit', { rows });
+  return edited.map(row => {
+    const r = toModel('orders', row);
+    return { 'OrderID': r['OrderID'], 'Status': r['Status'] ?? status };
+  });
+}
+
+module.exports = {
+  appsheetConfig,
+  appsheetFind,
+  orderStatuses,
+  updateOrderStatus,
+  joinLineItems,
+  loadOrders,
+  findOrder,
+};
@@ -0,0 +1,330 @@
+// lib/auth.js — staff login, signed session cookies and CORS
+// Every /api handler calls setCors() and requireSession() at the top, so the
+// same checks run under server.js and as Vercel functions.
+//
+//   STAFF_ACCOUNTS   JSON list of staff, e.g.
+//                    [{"name":"Maria","pin":"4821","role":"manager"},
+//                     {"name":"Dee","hash":"scrypt:<salt>:<hex>","role":"lead"}]
+//                    pin/password are compared as given; hash is what
+//                    scripts/hash-pin.js prints, so no plain PINs in env.
+//                    role is staff (default), lead or manager — see ROLES
+//   SESSION_SECRET   key for signing session cookies (required with accounts)
+//   SESSION_HOURS    how long a login lasts (default 12 — one shift)
+//   ALLOWED_ORIGINS  comma-separated origins allowed to call the API
+//                    cross-site; same-origin requests need nothing
+//   CALENDAR_TOKEN   secret for /api/calendar.ics?token=… — calendar apps
+//                    can't log in, so the subscription URL carries this
+//   TRUST_PROXY=1    take the client address for the login lockout from
+//                    X-Forwarded-For, and the site's own address for links
+//                    from X-Forwarded-Host/-Proto (behind a proxy that sets
+//                    them). On by default on Vercel; otherwise the header is ignored,
+//                    since anyone can send one.
+//   AUTH_DISABLED=1  turn all of this off (local development only)
+//
+// Demo mode without STAFF_ACCOUNTS gets one account: Demo / PIN 0000 (manager),
+// and without CALENDAR_TOKEN the calendar token is "demo".
+
+const crypto = require('crypto');
+const { isDemoMode } = require('./demo');
+
+const COOKIE        = 'bsb_session';
+const SESSION_HOURS = parseFloat(process.env.SESSION_HOURS) || 12;
+
+// Brute-force guard for 4-digit PINs: per client, per window
+const MAX_FAILURES = 5;
+const FAILURE_WINDOW_MS = 5 * 60 * 1000;
+const failures = new Map(); // client → { count, since }
+
+// Lowest to highest; each role can do everything the ones before it can
+const ROLES = ['staff', 'lead', 'manager'];
+
+// Pages below the orders board, and the role each needs
+const PAGE_ROLES = {
+  '/management.html':     'lead',
+  '/shift-planning.html': 'lead',
+  '/designer.html':       'lead',
+};
+
+// Actions that throw away work, and the role each needs
+const ACTION_ROLES = {
+  'station.delete':   'manager',
+  'snapshot.restore': 'manager',
+  'template.reset':   'manager',
+  'checklist.delete': 'manager',
+};
+
+// Demo mode may run without a secret; sessions then last until restart
+const fallbackSecret = crypto.randomBytes(32).toString('hex');
+
+function authDisabled() {
+  return process.env.AUTH_DISABLED === '1' || process.env.AUTH_DISABLED === 'true';
+}
+
+function staffAccounts() {
+  if (process.env.STAFF_ACCOUNTS) {
+    try {
+      const list = JSON.parse(process.env.STAFF_ACCOUNTS);
+      return Array.isArray(list) ? list.filter(a => a && a.name) : [];
+    } catch (err) {
+      console.error('[auth] STAFF_ACCOUNTS is not valid JSON:', err.message);
+      return [];
+    }
+  }
+  return isDemoMode() ? [{ name: 'Demo', pin: '0000', role: 'manager' }] : [];
+}
+
+function sessionSecret() {
+  if (process.env.SESSION_SECRET) return process.env.SESSION_SECRET;
+  if (isDemoMode() && !process.env.STAFF_ACCOUNTS) return fallbackSecret;
+  return null;
+}
+
+// ----------------------------------------------------------------
+// Credentials
+// ----------------------------------------------------------------
+function safeEqual(a, b) {
+  const ha = crypto.createHash('sha256').update(String(a)).digest();
+  const hb = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+// "scrypt:<salt>:<hex>" — see scripts/hash-pin.js
+function hashSecret(secret, salt = crypto.randomBytes(16).toString('hex')) {
+  return `scrypt:${salt}:${crypto.scryptSync(String(secret), salt, 32).toString('hex')}`;
+}
+
+function checkSecret(account, secret) {
+  if (account.hash) {
+    const [scheme, salt] = String(account.hash).split(':');
+    return scheme === 'scrypt' && !!salt && safeEqual(hashSecret(secret, salt), account.hash);
+  }
+  const expected = account.pin ?? account.password;
+  return expected != null && safeEqual(expected, secret);
+}
+
+// Name and PIN must both match, so one guess is only ever tried against one account
+function findAccount(name, secret) {
+  const wanted = String(name || '').trim().toLowerCase();
+  if (!wanted || !secret) return null;
+  const account = staffAccounts().find(a => a.name.toLowerCase() === wanted);
+  return account && checkSecret(account, String(secret)) ? account : null;
+}
+
+function trustProxy() {
+  const setting = process.env.TRUST_PROXY;
+  if (setting !== undefined) return setting === '1' || setting === 'true';
+  return !!process.env.VERCEL;
+}
+
+function clientId(req) {
+  const forwarded = trustProxy() ? String(req.headers['x-forwarded-for'] || '').split(',')[0].trim() : '';
+  return forwarded || req.socket?.remoteAddress || 'unknown';
+}
+
+// https://host the request came in on, for absolute links; '' without a Host
+function requestOrigin(req) {
+  const first = name => String(req.headers[name] || '').split(',')[0].trim();
+  const host = (trustProxy() && first('x-forwarded-host')) || req.headers.host;
+  if (!host) return '';
+  const proto = (trustProxy() && first('x-forwarded-proto')) || (req.socket?.encrypted ? 'https' : 'http');
+  return `${proto}://${host}`;
+}
+
+// Seconds until this client may try again, or 0
+function lockedFor(req) {
+  const entry = failures.get(clientId(req));
+  if (!entry || entry.count < MAX_FAILURES) return 0;
+  const left = entry.since + FAILURE_WINDOW_MS - Date.now();
+  if (left <= 0) {
+    failures.delete(clientId(req));
+    return 0;
+  }
+  return Math.ceil(left / 1000);
+}
+
+function recordFailure(req) {
+  const key = clientId(req);
+  const entry = failures.get(key);
+  if (!entry || Date.now() - entry.since > FAILURE_WINDOW_MS) {
+    failures.set(key, { count: 1, since: Date.now() });
+  } else {
+    entry.count++;
+  }
+}
+
+function clearFailures(req) {
+  failures.delete(clientId(req));
+}
+
+// ----------------------------------------------------------------
+// Session cookie: base64url(JSON payload) + "." + HMAC-SHA256
+// ----------------------------------------------------------------
+function sign(payload, secret) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+function createSessionToken(account) {
+  const secret = sessionSecret();
+  if (!secret) throw new Error('SESSION_SECRET is not set');
+  const payload = Buffer.from(JSON.stringify({
+    name: account.name,
+    role: roleOf(account),
+    exp:  Date.now() + SESSION_HOURS * 60 * 60 * 1000,
+  })).toString('base64url');
+  return `${payload}.${sign(payload, secret)}`;
+}
+
+function readSessionToken(token) {
+  const secret = sessionSecret();
+  const [payload, signature] = String(token || '').split('.');
+  if (!secret || !payload || !signature || !safeEqual(sign(payload, secret), signature)) return null;
+  try {
+    const session = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!(session.exp > Date.now())) return null;
+    // Cookies signed before roles existed carry none
+    return { ...session, role: roleOf(session) };
+  } catch {
+    return null;
+  }
+}
+
+function parseCookies(req) {
+  const out = {};
+  String(req.headers.cookie || '').split(';').forEach(part => {
+    const i = part.indexOf('=');
+    if (i <= 0) return;
+    const value = part.slice(i + 1).trim();
+    // Someone else's badly encoded cookie mustn't fail every request
+    try {
+      out[part.slice(0, i).trim()] = decodeURIComponent(value);
+    } catch {
+      out[part.slice(0, i).trim()] = value;
+    }
+  });
+  return out;
+}
+
+function isHttps(req) {
+  return req.headers['x-forwarded-proto'] === 'https' || !!req.socket?.encrypted;
+}
+
+function setSessionCookie(req, res, token) {
+  const secure = isHttps(req) ? '; Secure' : '';
+  const maxAge = token ? Math.round(SESSION_HOURS * 60 * 60) : 0;
+  res.setHeader('Set-Cookie',
+    `${COOKIE}=${token ? encodeURIComponent(token) : ''}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${maxAge}${secure}`);
+}
+
+// { name, role, exp } for a logged-in request, else null
+function getSession(req) {
+  if (authDisabled()) return { name: 'Staff', role: 'manager', exp: Infinity };
+  return readSessionToken(parseCookies(req)[COOKIE]);
+}
+
+// Answers 401 and returns null when the request isn't logged in
+function requireSession(req, res) {
+  const session = getSession(req);
+  if (!session) {
+    res.status(401).json({ error: 'Please log in', code: 'unauthenticated' });
+    return null;
+  }
+  req.session = session;
+  return session;
+}
+
+// Subscribed calendars send ?token= instead of a cookie
+function calendarToken() {
+  if (process.env.CALENDAR_TOKEN) return process.env.CALENDAR_TOKEN;
+  return isDemoMode() ? 'demo' : null;
+}
+
+function hasCalendarToken(req) {
+  const expected = calendarToken();
+  const given = req.query?.token;
+  return !!expected && typeof given === 'string' && safeEqual(expected, given);
+}
+
+// ----------------------------------------------------------------
+// Roles
+// ----------------------------------------------------------------
+// Unknown or missing roles count as the lowest
+function roleOf(account) {
+  return ROLES.includes(account?.role) ? account.role : ROLES[0];
+}
+
+function hasRole(session, role) {
+  return !!session && ROLES.indexOf(roleOf(session)) >= ROLES.indexOf(role);
+}
+
+// Pages not listed are open to everyone logged in
+function canOpenPage(session, pathname) {
+  const role = PAGE_ROLES[pathname];
+  return !role || hasRole(session, role);
+}
+
+function canDo(session, action) {
+  const role = ACTION_ROLES[action];
+  return !!role && hasRole(session, role);
+}
+
+// What the browser needs to hide links and buttons (GET /api/session):
+// { pages: { '/designer.html': true, ... }, actions: { 'station.delete': false, ... } }
+function permissions(session) {
+  const pages = {};
+  const actions = {};
+  Object.keys(PAGE_ROLES).forEach(page => { pages[page] = canOpenPage(session, page); });
+  Object.keys(ACTION_ROLES).forEach(action => { actions[action] = canDo(session, action); });
+  return { pages, actions };
+}
+
+// Like requireSession, and answers 403 when the role can't do this action
+function requireAction(req, res, action) {
+  const session = requireSession(req, res);
+  if (!session) return null;
+  if (!canDo(session, action)) {
+    res.status(403).json({ error: `Your role (${session.role}) can't do that`, code: 'forbidden' });
+    return null;
+  }
+  return session;
+}
+
+// ----------------------------------------------------------------
+// CORS — only configured origins, with credentials
+// ----------------------------------------------------------------
+function allowedOrigins() {
+  return (process.env.ALLOWED_ORIGINS || '').split(',').map(s => s.trim().replace(/\/$/, '')).filter(Boolean);
+}
+
+function setCors(req, res, methods) {
+  const origin = req.headers.origin;
+  res.setHeader('Vary', 'Origin');
+  if (!origin || !allowedOrigins().includes(origin)) return;
+  res.setHeader('Access-Control-Allow-Origin', origin);
+  res.setHeader('Access-Control-Allow-Credentials', 'true');
+  res.setHeader('Access-Control-Allow-Methods', methods);
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+}
+
+module.exports = {
+  authDisabled,
+  staffAccounts,
+  sessionSecret,
+  hashSecret,
+  findAccount,
+  lockedFor,
+  recordFailure,
+  clearFailures,
+  createSessionToken,
+  setSessionCookie,
+  getSession,
+  requireSession,
+  hasCalendarToken,
+  ROLES,
+  hasRole,
+  canOpenPage,
+  canDo,
+  permissions,
+  requireAction,
+  requestOrigin,
+  setCors,
+};
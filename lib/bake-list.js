@@ -0,0 +1,98 @@
+// lib/bake-list.js — how many of each cake to make, by pickup time
+// Sums CakeQty over the line items of a set of orders (AppSheet and Shopify
+// share the order model), grouped by product, size and flavor, and split into
+// the pickup windows bakers plan around. Cancelled orders don't count.
+
+const { parseTimeOfDay } = require('../public/print-templates');
+
+// Pickup windows, by start-of-pickup time in minutes after midnight.
+// Shopify delivery slots ("10:00 AM - 12:00 PM") fall inside one window.
+const TIME_WINDOWS = [
+  { label: 'Before 10 AM', until: 10 * 60 },
+  { label: '10 AM – 12 PM', until: 12 * 60 },
+  { label: '12 – 2 PM',     until: 14 * 60 },
+  { label: '2 – 4 PM',      until: 16 * 60 },
+  { label: '4 PM & later',  until: Infinity },
+];
+const NO_TIME = 'No time set';
+
+function timeWindow(timeStr) {
+  const minutes = parseTimeOfDay(timeStr);
+  if (minutes === null) return NO_TIME;
+  return TIME_WINDOWS.find(w => minutes < w.until).label;
+}
+
+// "Caramel Cake - 8\" Round" → { product: 'Caramel Cake', size: '8" Round' }
+// (both sources write the variant after the last " - ")
+function splitProduct(description) {
+  const text = String(description || '').trim();
+  const i = text.lastIndexOf(' - ');
+  if (i <= 0) return { product: text || 'Unnamed item', size: '' };
+  return { product: text.slice(0, i).trim(), size: text.slice(i + 3).trim() };
+}
+
+// A line item with no quantity still means one of them
+function quantity(item) {
+  const n = parseFloat(item['CakeQty']);
+  return Number.isFinite(n) && n > 0 ? n : 1;
+}
+
+function isCancelled(order) {
+  return String(order['Status'] || '').toLowerCase() === 'cancelled';
+}
+
+// {
+//   windows:    labels in pickup order (only those with something in them),
+//   rows:       [{ product, size, flavor, total, byWindow: { label: qty }, orders }],
+//   totals:     { total, byWindow },
+//   orderCount: orders that contributed,
+//   sources:    { AppSheet: n, Shopify: n }
+// }
+function buildBakeList(orders) {
+  const rows = new Map();
+  const totals = { total: 0, byWindow: {} };
+  const sources = {};
+  let orderCount = 0;
+
+  orders.filter(o => !isCancelled(o)).forEach(order => {
+    const items = order['Line Items'] || [];
+    if (items.length === 0) return;
+    orderCount++;
+    const source = order['Source'] || 'AppSheet';
+    sources[source] = (sources[source] || 0) + 1;
+    const slot = timeWindow(order['Due Pickup Time']);
+
+    items.forEach(item => {
+      const { product, size } = splitProduct(item['Product Description']);
+      const flavor = String(item['Flavor'] || '').trim();
+      const key = [product, size, flavor].map(s => s.toLowerCase()).join('|');
+      const qty = quantity(item);
+
+      let row = rows.get(key);
+      if (!row) {
+        row = { product, size, flavor, total: 0, byWindow: {}, orders: new Set() };
+        rows.set(key, row);
+      }
+      row.total += qty;
+      row.byWindow[slot] = (row.byWindow[slot] || 0) + qty;
+      row.orders.add(order['OrderID'] || order._RowNumber);
+
+      totals.total += qty;
+      totals.byWindow[slot] = (totals.byWindow[slot] || 0) + qty;
+    });
+  });
+
+  const windows = [...TIME_WINDOWS.map(w => w.label), NO_TIME].filter(label => totals.byWindow[label]);
+  const sorted = [...rows.values()]
+    .map(row => ({ ...row, orders: row.orders.size }))
+    .sort((a, b) => a.product.localeCompare(b.product)
+      || a.size.localeCompare(b.size, undefined, { numeric: true })
+      || a.flavor.localeCompare(b.flavor));
+
+  return { windows, rows: sorted, totals, orderCount, sources };
+}
+
+module.exports = {
+  buildBakeList,
+  splitProduct,
+};
@@ -0,0 +1,120 @@
+// lib/cache.js — in-memory response cache with stale-while-revalidate
+// Shared by the order endpoints so tab switches and several tablets polling the
+// same view don't each cost an AppSheet/Shopify round trip.
+//
+//   ORDERS_CACHE_TTL    seconds an entry is fresh          (default 60)
+//   ORDERS_CACHE_STALE  seconds a stale entry may be served (default 600)
+//                       while a background refresh runs
+
+const TTL_MS   = (parseInt(process.env.ORDERS_CACHE_TTL, 10)   || 60)  * 1000;
+const STALE_MS = (parseInt(process.env.ORDERS_CACHE_STALE, 10) || 600) * 1000;
+
+// Keys include free-text filters (customer, dates), so one-off queries would
+// otherwise pile up for the life of the process
+const MAX_ENTRIES = 200;
+
+// key → { value, fetchedAt, pending, meta }, oldest fetch first
+const entries = new Map();
+
+// Stable key for an endpoint + query (ignores the refresh flag itself)
+function cacheKey(name, query = {}) {
+  const parts = Object.keys(query)
+    .filter(k => k !== 'refresh' && query[k] !== undefined && query[k] !== '')
+    .sort()
+    .map(k => `${k}=${query[k]}`);
+  return parts.length ? `${name}?${parts.join('&')}` : name;
+}
+
+// Drop entries too old to be served, then the oldest over MAX_ENTRIES.
+// Loads in flight stay; their callers are waiting on them.
+function prune(now = Date.now()) {
+  for (const [key, entry] of entries) {
+    if (!entry.pending && entry.fetchedAt && now - entry.fetchedAt >= TTL_MS + STALE_MS) entries.delete(key);
+  }
+  for (const [key, entry] of entries) {
+    if (entries.size <= MAX_ENTRIES) break;
+    if (!entry.pending) entries.delete(key);
+  }
+}
+
+// Run the loader once per key at a time; concurrent callers share the promise
+function load(key, loader, meta) {
+  const entry = entries.get(key) || {};
+  if (entry.pending) return entry.pending;
+  prune();
+
+  const pending = Promise.resolve()
+    .then(loader)
+    .then(value => {
+      // Re-inserted so the Map stays in fetch order for prune()
+      entries.delete(key);
+      entries.set(key, { value, fetchedAt: Date.now(), pending: null, meta });
+      return entries.get(key);
+    })
+    .finally(() => {
+      const current = entries.get(key);
+      if (current && current.pending === pending) current.pending = null;
+    });
+
+  entries.set(key, { ...entry, pending });
+  return pending;
+}
+
+// Returns { value, fetchedAt, state } where state is HIT, STALE or MISS.
+// refresh: true skips the cache and waits for a fresh load.
+// meta is kept with the entry for patchCached() (e.g. the filters it was loaded with).
+async function getCached(key, loader, { refresh = false, meta } = {}) {
+  const entry = entries.get(key);
+  const age   = entry && entry.fetchedAt ? Date.now() - entry.fetchedAt : Infinity;
+
+  if (!refresh && age < TTL_MS) {
+    return { value: entry.value, fetchedAt: entry.fetchedAt, state: 'HIT' };
+  }
+
+  if (!refresh && age < TTL_MS + STALE_MS) {
+    // Serve what we have and refresh in the background
+    load(key, loader, meta).catch(err => {
+      console.error(`[cache] Background refresh failed for ${key}:`, err.message);
+    });
+    return { value: entry.value, fetchedAt: entry.fetchedAt, state: 'STALE' };
+  }
+
+  const fresh = await load(key, loader, meta);
+  return { value: fresh.value, fetchedAt: fresh.fetchedAt, state: 'MISS' };
+}
+
+// Drop every entry whose key starts with the given endpoint name
+function invalidate(name) {
+  for (const key of entries.keys()) {
+    if (key === name || key.startsWith(`${name}?`)) entries.delete(key);
+  }
+}
+
+// Rewrite every cached value of an endpoint in place: fn(value, meta) → value.
+// Keeps fetchedAt, so patched data still ages out normally.
+function patchCached(name, fn) {
+  for (const [key, entry] of entries) {
+    if (!(key === name || key.startsWith(`${name}?`)) || !entry.fetchedAt) continue;
+    entry.value = fn(entry.value, entry.meta);
+  }
+}
+
+// Response headers describing where the data came from
+function setCacheHeaders(res, result) {
+  res.setHeader('X-Cache', result.state);
+  res.setHeader('X-Data-As-Of', new Date(result.fetchedAt).toISOString());
+  res.setHeader('Access-Control-Expose-Headers', 'X-Cache, X-Data-As-Of');
+}
+
+function isRefresh(query = {}) {
+  return query.refresh === '1' || query.refresh === 'true';
+}
+
+module.exports = {
+  cacheKey,
+  getCached,
+  invalidate,
+  patchCached,
+  setCacheHeaders,
+  isRefresh,
+};
@@ -0,0 +1,180 @@
+// lib/calendar.js — orders as an iCalendar (RFC 5545) feed
+// One event per pickup or delivery at Due Pickup Date + Due Pickup Time, with
+// the customer, phone and items in the description. Times are the bakery's
+// clock time in BUSINESS_TIMEZONE (lib/timezone.js), sent as UTC so every
+// calendar app places them right. Orders with no usable time become all-day
+// events; a Shopify delivery slot
+// ("10:00 AM - 12:00 PM") becomes an event spanning the slot.
+
+const { printKey, toISODate, parseTimeOfDay, isDeliveryOrder } = require('../public/print-templates');
+const { businessTimezone } = require('./timezone');
+
+// Pickups with a single time block out this long
+const DEFAULT_MINUTES = 30;
+
+// Text values escape \ ; , and newlines
+function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets continue on the next line after a space
+function foldLine(line) {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+  const parts = [];
+  let start = 0;
+  while (start < bytes.length) {
+    let end = Math.min(start + (start === 0 ? 75 : 74), bytes.length);
+    // Don't cut a multi-byte character in half
+    while (end < bytes.length && (bytes[end] & 0xc0) === 0x80) end--;
+    parts.push(bytes.slice(start, end).toString('utf8'));
+    start = end;
+  }
+  return parts.join('\r\n ');
+}
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+// YYYY-MM-DD + minutes after midnight → 20261019T093000 (the bakery's clock)
+function localStamp(iso, minutes) {
+  const d = new Date(`${iso}T00:00:00Z`);
+  d.setUTCMinutes(minutes);
+  return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}` +
+         `T${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}00`;
+}
+
+function utcStamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Minutes the zone's clock is ahead of UTC at this moment
+function zoneOffset(ms, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit',
+  }).formatToParts(new Date(ms)).forEach(p => { parts[p.type] = p.value; });
+  const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+  return (wall - Math.floor(ms / 60000) * 60000) / 60000;
+}
+
+// YYYY-MM-DD + minutes after midnight on the bakery's clock → 20261019T143000Z.
+// The offset is checked again at the result so times near a DST change land right.
+function zonedStamp(iso, minutes, timeZone = businessTimezone()) {
+  const wall = Date.parse(`${iso}T00:00:00Z`) + minutes * 60000;
+  let ms = wall - zoneOffset(wall, timeZone) * 60000;
+  ms = wall - zoneOffset(ms, timeZone) * 60000;
+  return utcStamp(new Date(ms));
+}
+
+// "9:30 AM" → { start: 570, end: 600 }; "10:00 AM - 12:00 PM" → the slot
+function timeRange(str) {
+  const [from, to] = String(str || '').split(/\s*[-–]\s*/);
+  const start = parseTimeOfDay(from);
+  if (start === null) return null;
+  const end = to ? parseTimeOfDay(to) : null;
+  return { start, end: end !== null && end > start ? end : start + DEFAULT_MINUTES };
+}
+
+function customerOf(order) {
+  return order['Order Name'] || order['Customer Name'] || 'Customer';
+}
+
+function describe(order, link) {
+  const items = (order['Line Items'] || []).map(item => {
+    const extras = [item['Flavor'], item['Writing Notes'] && `"${item['Writing Notes']}"`, item['Color'], item['Add-Ons']]
+      .filter(Boolean).join(', ');
+    return `• ${item['CakeQty'] || 1}× ${item['Product Description'] || 'Item'}${extras ? ` (${extras})` : ''}`;
+  });
+  const lines = [`Customer: ${customerOf(order)}`];
+  if (order['PhoneNumber']) lines.push(`Phone: ${order['PhoneNumber']}`);
+  lines.push(`Order: ${order['OrderID'] || ''}${order['Status'] ? ` · ${order['Status']}` : ''}`);
+  if (items.length)         lines.push('', ...items);
+  if (order['Order Notes']) lines.push('', `Notes: ${order['Order Notes']}`);
+  if (link)                 lines.push('', link);
+  return lines.join('\n');
+}
+
+// Same deep link the orders page understands: /?order=<OrderID>
+function orderLink(order, baseUrl) {
+  if (!baseUrl || !order['OrderID']) return '';
+  return `${baseUrl}/?order=${encodeURIComponent(order['OrderID'])}`;
+}
+
+function buildEvent(order, { baseUrl, now }) {
+  const date = toISODate(String(order['Due Pickup Date'] || ''));
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) return null;
+
+  const delivery = isDeliveryOrder(order) || /deliver/i.test(order['Order Type'] || '');
+  const items = (order['Line Items'] || []).length;
+  const summary = `${delivery ? 'Delivery' : 'Pickup'}: ${customerOf(order)}` +
+                  (items ? ` (${items} item${items !== 1 ? 's' : ''})` : '');
+  const location = order['Delivery Address'] || order['Location'] || '';
+  const link = orderLink(order, baseUrl);
+  const range = timeRange(order['Due Pickup Time']);
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${printKey(order).replace(/[^\w.-]/g, '-')}@brown-sugar-bakery-orders`,
+    `DTSTAMP:${utcStamp(now)}`,
+  ];
+  if (range) {
+    lines.push(`DTSTART:${zonedStamp(date, range.start)}`, `DTEND:${zonedStamp(date, range.end)}`);
+  } else {
+    const next = localStamp(date, 24 * 60).slice(0, 8);
+    lines.push(`DTSTART;VALUE=DATE:${date.replace(/-/g, '')}`, `DTEND;VALUE=DATE:${next}`);
+  }
+  lines.push(
+    `SUMMARY:${escapeText(summary)}`,
+    `DESCRIPTION:${escapeText(describe(order, link))}`,
+  );
+  if (location) lines.push(`LOCATION:${escapeText(location)}`);
+  if (link) lines.push(`URL:${link}`);
+  if (order['Order Type']) lines.push(`CATEGORIES:${escapeText(order['Order Type'])}`);
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+function isCancelled(order) {
+  return /^cancel/i.test(String(order['Status'] || ''));
+}
+
+// Orders → the whole .ics file. Cancelled orders are left out, so they drop
+// off subscribed calendars at the next refresh.
+function buildCalendar(orders, { name = 'Bakery Orders', baseUrl = '', now = new Date() } = {}) {
+  const events = orders
+    .filter(order => !isCancelled(order))
+    .map(order => buildEvent(order, { baseUrl, now }))
+    .filter(Boolean);
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Brown Sugar Bakery//Orders//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    // Event times are UTC; this only names the calendar's home zone
+    `X-WR-TIMEZONE:${businessTimezone()}`,
+    // Ask subscribed calendars to check back hourly
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H',
+    ...events.flat(),
+    'END:VCALENDAR',
+  ];
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  buildCalendar,
+  escapeText,
+  foldLine,
+  timeRange,
+  zonedStamp,
+};
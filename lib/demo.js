@@ -0,0 +1,51 @@
+// lib/demo.js — offline demo mode backed by fixtures/
+// Active when DEMO_MODE=1 or the AppSheet credentials are missing/placeholders,
+// so the whole app runs with no credentials and no network. Fixture dates are
+// written as $DAY+N (N days from today) and resolved on first use, so "today"
+// always has orders. Rows are held in memory and may be edited by the app.
+
+const { businessToday } = require('./timezone');
+
+const FIXTURES = {
+  orders:    require('../fixtures/customer-orders.json'),
+  lineItems: require('../fixtures/bakery-products-ordered.json'),
+  shopify:   require('../fixtures/shopify-orders.json'),
+};
+
+// AppSheet returns MM/DD/YYYY; Shopify payloads use ISO dates
+const DATE_FORMATS = { orders: 'us', lineItems: 'us', shopify: 'iso' };
+
+function isDemoMode() {
+  if (process.env.DEMO_MODE === '1' || process.env.DEMO_MODE === 'true') return true;
+  const appId  = process.env.APPSHEET_APP_ID  || '';
+  const apiKey = process.env.APPSHEET_API_KEY || '';
+  return !appId || appId === 'your_app_id_here' ||
+         !apiKey || apiKey === 'your_api_key_here';
+}
+
+// N days from the bakery's today (lib/timezone.js)
+function formatDay(offset, format) {
+  const [yyyy, mm, dd] = businessToday(offset).split('-');
+  return format === 'us' ? `${mm}/${dd}/${yyyy}` : `${yyyy}-${mm}-${dd}`;
+}
+
+// Deep-copy a fixture with every $DAY±N token replaced
+function resolveDates(fixture, format) {
+  const json = JSON.stringify(fixture)
+    .replace(/\$DAY([+-]\d+)/g, (_, offset) => formatDay(parseInt(offset, 10), format));
+  return JSON.parse(json);
+}
+
+const tables = {};
+
+// Mutable rows for 'orders', 'lineItems' or 'shopify'
+function demoRows(name) {
+  if (!tables[name]) tables[name] = resolveDates(FIXTURES[name], DATE_FORMATS[name]);
+  return tables[name];
+}
+
+module.exports = {
+  isDemoMode,
+  demoRows,
+  resolveDates,
+};
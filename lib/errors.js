@@ -0,0 +1,70 @@
+// lib/errors.js — typed upstream errors and the JSON error response
+// Every failure talking to AppSheet ends up as one of these, so endpoints can
+// answer with a stable { error, code } body and the UI can say what to do.
+//
+//   code            HTTP  when
+//   auth            502   bad app id / access key, API not enabled
+//   quota           429   AppSheet rate limit
+//   not_found       404   app or table doesn't exist (or the order doesn't)
+//   upstream_down   503   timeout, network error, 5xx, garbage response,
+//                         or the circuit breaker is open
+//   upstream        502   anything else AppSheet rejected (e.g. bad selector)
+
+class UpstreamError extends Error {
+  constructor(message, { code = 'upstream', status = 502, retryAfter, service = 'AppSheet' } = {}) {
+    super(message);
+    this.name       = this.constructor.name;
+    this.code       = code;
+    this.status     = status;
+    this.retryAfter = retryAfter;
+    this.service    = service;
+  }
+}
+
+class AuthError extends UpstreamError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: 'auth', status: 502 });
+  }
+}
+
+class QuotaError extends UpstreamError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: 'quota', status: 429 });
+  }
+}
+
+class NotFoundError extends UpstreamError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: 'not_found', status: 404 });
+  }
+}
+
+class UpstreamDownError extends UpstreamError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: 'upstream_down', status: 503 });
+  }
+}
+
+// Log and answer with { error, code[, retryAfter] }; untyped errors are a 500
+function sendError(res, err, label) {
+  console.error(`[${label}] ${err.name || 'Error'}:`, err.message);
+  if (!(err instanceof UpstreamError)) {
+    return res.status(500).json({ error: err.message, code: 'internal' });
+  }
+
+  const body = { error: err.message, code: err.code };
+  if (err.retryAfter) {
+    res.setHeader('Retry-After', String(err.retryAfter));
+    body.retryAfter = err.retryAfter;
+  }
+  return res.status(err.status).json(body);
+}
+
+module.exports = {
+  UpstreamError,
+  AuthError,
+  QuotaError,
+  NotFoundError,
+  UpstreamDownError,
+  sendError,
+};
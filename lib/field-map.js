@@ -0,0 +1,111 @@
+// lib/field-map.js — AppSheet columns ↔ the app's order model
+// The UI, print templates and Shopify normalization all use one set of field
+// names (the keys of config/field-map.json). The values are the AppSheet
+// column each field is read from, so renaming a column in AppSheet only means
+// changing that value — not the code or saved templates.
+//
+//   FIELD_MAP_FILE  path to a JSON file used instead of config/field-map.json
+//   FIELD_MAP       JSON merged on top, e.g.
+//                   {"orders":{"Due Pickup Date":"Pickup Date"}}
+//   APPSHEET_SHOPIFY_REF_COLUMN  shortcut for orders["Shopify Order"]
+//
+// Columns that aren't in the map pass through under their AppSheet name.
+// "Shopify Order" is optional: without that column orders just aren't merged
+// with Shopify's (lib/merge-orders.js).
+//
+// shopifyProperties does the same for Shopify line-item properties: each line
+// item field lists the property names it's filled from (case-insensitive; a
+// trailing * matches a prefix, e.g. "Add-On:*" for "Add-On: Candles").
+
+const fs = require('fs');
+const DEFAULT_MAP = require('../config/field-map.json');
+
+const TABLES = ['orders', 'lineItems', 'shopifyProperties'];
+
+// Fields a table may not have; only warned about when mapped to a renamed
+// column (FIELD_MAP or APPSHEET_SHOPIFY_REF_COLUMN), since that was on purpose
+const OPTIONAL_FIELDS = { orders: ['Shopify Order'] };
+
+let cached = null;
+const warned = new Set();
+
+function readJson(label, text) {
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new Error(`${label} is not valid JSON: ${err.message}`);
+  }
+}
+
+// { orders: { field: column }, lineItems: { field: column } }
+function fieldMap() {
+  if (cached) return cached;
+
+  const base = process.env.FIELD_MAP_FILE
+    ? readJson(process.env.FIELD_MAP_FILE, fs.readFileSync(process.env.FIELD_MAP_FILE, 'utf8'))
+    : DEFAULT_MAP;
+  const overrides = process.env.FIELD_MAP ? readJson('FIELD_MAP', process.env.FIELD_MAP) : {};
+
+  cached = {};
+  for (const table of TABLES) {
+    cached[table] = { ...base[table], ...overrides[table] };
+  }
+  if (process.env.APPSHEET_SHOPIFY_REF_COLUMN) {
+    cached.orders['Shopify Order'] = process.env.APPSHEET_SHOPIFY_REF_COLUMN;
+  }
+  return cached;
+}
+
+// { field: [property name patterns] } for Shopify line items
+function shopifyPropertyMap() {
+  return fieldMap().shopifyProperties;
+}
+
+// AppSheet column for a model field (the field name itself if unmapped)
+function column(table, field) {
+  return fieldMap()[table][field] || field;
+}
+
+// Say once per column when AppSheet rows don't have a mapped column, which is
+// what a rename in AppSheet looks like from here
+function warnMissing(table, row) {
+  for (const [field, col] of Object.entries(fieldMap()[table])) {
+    const key = `${table}.${col}`;
+    if (col in row || warned.has(key)) continue;
+    if (col === field && OPTIONAL_FIELDS[table]?.includes(field)) continue;
+    warned.add(key);
+    console.warn(`[field-map] ${table} has no column "${col}" (for ${field}) — update config/field-map.json or FIELD_MAP`);
+  }
+}
+
+// AppSheet row → model
+function toModel(table, row) {
+  const out = { ...row };
+  for (const [field, col] of Object.entries(fieldMap()[table])) {
+    if (col === field || !(col in row)) continue;
+    out[field] = row[col];
+    delete out[col];
+  }
+  return out;
+}
+
+function rowsToModel(table, rows) {
+  if (rows.length) warnMissing(table, rows[0]);
+  return rows.map(row => toModel(table, row));
+}
+
+// Model fields → AppSheet row (for Edit)
+function toColumns(table, fields) {
+  const out = {};
+  for (const [field, value] of Object.entries(fields)) out[column(table, field)] = value;
+  return out;
+}
+
+module.exports = {
+  fieldMap,
+  shopifyPropertyMap,
+  column,
+  toModel,
+  rowsToModel,
+  toColumns,
+};
@@ -0,0 +1,77 @@
+// lib/live-orders.js — change detection for live order updates
+// While at least one browser is subscribed to a view + date range, re-read that
+// feed every ORDERS_LIVE_INTERVAL seconds (default 15) and report orders that
+// were added, changed or removed since the last look. Reads go through the
+// shared cache, so most ticks are free; webhooks and status edits patch or
+// invalidate the cache and show up on the next tick.
+
+const { loadFeed } = require('./order-feeds');
+const { cacheKey } = require('./cache');
+
+const INTERVAL_MS = (parseInt(process.env.ORDERS_LIVE_INTERVAL, 10) || 15) * 1000;
+
+// key → { view, filters, listeners, snapshot, timer }
+const watchers = new Map();
+
+// Same identity the browser uses: Shopify ids are stable, row numbers are not
+function orderKey(order) {
+  return order['Source'] === 'Shopify'
+    ? `Shopify:${order['ShopifyID']}`
+    : `${order['Source'] || ''}:${order._RowNumber}`;
+}
+
+function toSnapshot(orders) {
+  return new Map(orders.map(o => [orderKey(o), { order: o, json: JSON.stringify(o) }]));
+}
+
+// [{ type: 'added' | 'changed' | 'removed', order }]
+function diffSnapshots(prev, next) {
+  const changes = [];
+  for (const [key, entry] of next) {
+    const before = prev.get(key);
+    if (!before) changes.push({ type: 'added', order: entry.order });
+    else if (before.json !== entry.json) changes.push({ type: 'changed', order: entry.order });
+  }
+  for (const [key, entry] of prev) {
+    if (!next.has(key)) changes.push({ type: 'removed', order: entry.order });
+  }
+  return changes;
+}
+
+async function tick(watcher) {
+  try {
+    const { value } = await loadFeed(watcher.view, watcher.filters);
+    const next = toSnapshot(value);
+    if (watcher.snapshot) {
+      const changes = diffSnapshots(watcher.snapshot, next);
+      if (changes.length) watcher.listeners.forEach(fn => fn(changes));
+    }
+    watcher.snapshot = next;
+  } catch (err) {
+    console.error(`[live] Refresh failed for ${watcher.view}:`, err.message);
+  }
+}
+
+// Call listener(changes) whenever the view changes; returns an unsubscribe function
+function subscribe(view, filters, listener) {
+  const key = cacheKey(view, filters);
+  let watcher = watchers.get(key);
+
+  if (!watcher) {
+    watcher = { view, filters, listeners: new Set(), snapshot: null, timer: null };
+    watcher.timer = setInterval(() => tick(watcher), INTERVAL_MS);
+    watchers.set(key, watcher);
+    tick(watcher);
+  }
+  watcher.listeners.add(listener);
+
+  return () => {
+    watcher.listeners.delete(listener);
+    if (watcher.listeners.size === 0) {
+      clearInterval(watcher.timer);
+      watchers.delete(key);
+    }
+  };
+}
+
+module.exports = { subscribe };
@@ -0,0 +1,50 @@
+// lib/merge-orders.js — combine AppSheet and Shopify orders into one feed
+// A Shopify order that staff also keyed into AppSheet shows up once: the
+// AppSheet row wins (it carries the bakery details and editable status) and
+// keeps a pointer to the Shopify order so it can still be fulfilled.
+//
+// An AppSheet order is a duplicate of a Shopify order only when its
+// "Shopify Order" field (mapped in lib/field-map.js) holds the Shopify order
+// name (#4817 or 4817). Matching on phone and date would fold a customer's
+// pickup and delivery on the same day into one.
+//
+// The merged row stays Source 'AppSheet' (status is edited there) but takes
+// the delivery details, and 'Shopify OrderID' marks it as a delivery for
+// isDeliveryOrder (public/print-templates.js), so the driver's copy prints.
+
+// Taken from the Shopify order: it's a delivery, and where to
+const DELIVERY_FIELDS = ['Order Type', 'Delivery Address', 'Delivery Note', 'Delivery Attributes'];
+
+function orderName(str) {
+  const s = String(str || '').trim();
+  return s && !s.startsWith('#') ? `#${s}` : s;
+}
+
+// appsheetOrders/shopifyOrders are already tagged with Source
+function mergeOrders(appsheetOrders, shopifyOrders) {
+  const byName = new Map();
+  shopifyOrders.forEach(o => byName.set(orderName(o['OrderID']), o));
+
+  const matched = new Set();
+  const merged = appsheetOrders.map(order => {
+    const ref = orderName(order['Shopify Order']);
+    const dup = ref && byName.get(ref);
+    if (!dup || matched.has(dup)) return order;
+
+    matched.add(dup);
+    const delivery = {};
+    DELIVERY_FIELDS.forEach(field => {
+      if (dup[field] !== undefined) delivery[field] = dup[field];
+    });
+    return {
+      ...order,
+      ...delivery,
+      'Shopify OrderID': dup['OrderID'],
+      'ShopifyID': dup['ShopifyID'],
+    };
+  });
+
+  return merged.concat(shopifyOrders.filter(o => !matched.has(o)));
+}
+
+module.exports = { mergeOrders };
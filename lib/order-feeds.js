@@ -0,0 +1,60 @@
+// lib/order-feeds.js — cached order lists behind each view tab
+// orders → AppSheet, delivery → Shopify, all → both merged. The API endpoints
+// and the live-update watcher read through here so they share cache entries.
+// Each feed resolves to { value, fetchedAt, state } like getCached().
+
+const { loadOrders } = require('./appsheet');
+const { isShopifyConfigured, loadShopifyOrders } = require('./shopify');
+const { mergeOrders } = require('./merge-orders');
+const { cacheKey, getCached } = require('./cache');
+
+function appsheetFeed(filters, { refresh = false } = {}) {
+  return getCached(cacheKey('orders', filters), () => loadOrders(filters), { refresh });
+}
+
+function shopifyFeed(filters, { refresh = false, updatedSince = '' } = {}) {
+  if (!isShopifyConfigured()) {
+    return Promise.resolve({ value: [], fetchedAt: Date.now(), state: 'MISS' });
+  }
+  return getCached(
+    cacheKey('shopify-orders', { ...filters, updatedSince }),
+    () => loadShopifyOrders(filters, updatedSince),
+    { refresh, meta: { filters, updatedSince } }
+  );
+}
+
+async function allFeed(filters, { refresh = false } = {}) {
+  const [appsheet, shopify] = await Promise.all([
+    appsheetFeed(filters, { refresh }),
+    isShopifyConfigured() ? shopifyFeed(filters, { refresh }) : Promise.resolve(null),
+  ]);
+
+  // Report the older of the two snapshots
+  const oldest = shopify && shopify.fetchedAt < appsheet.fetchedAt ? shopify : appsheet;
+  return {
+    value:     mergeOrders(appsheet.value, shopify ? shopify.value : []),
+    fetchedAt: oldest.fetchedAt,
+    state:     [appsheet, shopify].some(r => r && r.state === 'STALE') ? 'STALE' : oldest.state,
+  };
+}
+
+const FEEDS = {
+  orders:   appsheetFeed,
+  delivery: shopifyFeed,
+  all:      allFeed,
+};
+
+const FEED_NAMES = Object.keys(FEEDS);
+
+function loadFeed(view, filters, options) {
+  if (!FEEDS[view]) throw new Error(`Unknown view "${view}"`);
+  return FEEDS[view](filters, options);
+}
+
+module.exports = {
+  FEED_NAMES,
+  appsheetFeed,
+  shopifyFeed,
+  allFeed,
+  loadFeed,
+};
@@ -0,0 +1,123 @@
+// lib/order-filters.js — shared order filter parsing
+// Turns /api/orders query parameters into a normalized filter object, AppSheet
+// Selector expressions (FILTER("table", ...)) and an equivalent JS predicate for
+// sources that can't filter upstream (Shopify note attributes). Selectors name
+// AppSheet columns through lib/field-map.js; the predicate uses model fields.
+
+const { column } = require('./field-map');
+const { toISODate } = require('../public/print-templates');
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Query parameter → filter key. All dates are YYYY-MM-DD (same as <input type="date">).
+const DATE_PARAMS = ['pickupFrom', 'pickupTo', 'orderFrom', 'orderTo'];
+const TEXT_PARAMS = ['status', 'type', 'customer'];
+
+// Parse filters from req.query. Throws on malformed dates so callers can 400.
+function parseFilters(query = {}) {
+  const filters = {};
+
+  for (const key of DATE_PARAMS) {
+    const val = String(query[key] || '').trim();
+    if (!val) continue;
+    if (!ISO_DATE.test(val)) throw new Error(`Invalid ${key} "${val}" — expected YYYY-MM-DD`);
+    filters[key] = val;
+  }
+
+  for (const key of TEXT_PARAMS) {
+    const val = String(query[key] || '').trim();
+    if (val) filters[key] = val;
+  }
+
+  return filters;
+}
+
+function hasFilters(filters) {
+  return Object.keys(filters).length > 0;
+}
+
+// AppSheet string literals have no escape sequence, so drop embedded quotes
+function quote(str) {
+  return `"${String(str).replace(/"/g, '')}"`;
+}
+
+// YYYY-MM-DD → DATE("MM/DD/YYYY") (matches the en-US locale we request)
+function dateLiteral(iso) {
+  const [y, m, d] = iso.split('-');
+  return `DATE("${m}/${d}/${y}")`;
+}
+
+// [Column] reference for a model field
+function ref(table, field) {
+  return `[${column(table, field)}]`;
+}
+
+// Build the boolean conditions for a Customer Orders FILTER()
+function buildConditions(filters) {
+  const conds = [];
+  const pickup = ref('orders', 'Due Pickup Date');
+  const placed = ref('orders', 'Order Date');
+
+  if (filters.pickupFrom) conds.push(`${pickup} >= ${dateLiteral(filters.pickupFrom)}`);
+  if (filters.pickupTo)   conds.push(`${pickup} <= ${dateLiteral(filters.pickupTo)}`);
+  if (filters.orderFrom)  conds.push(`${placed} >= ${dateLiteral(filters.orderFrom)}`);
+  if (filters.orderTo)    conds.push(`${placed} <= ${dateLiteral(filters.orderTo)}`);
+  if (filters.status)     conds.push(`${ref('orders', 'Status')} = ${quote(filters.status)}`);
+  if (filters.type)       conds.push(`${ref('orders', 'Order Type')} = ${quote(filters.type)}`);
+  if (filters.customer)   conds.push(`CONTAINS(${ref('orders', 'Order Name')}, ${quote(filters.customer)})`);
+
+  return conds;
+}
+
+// FILTER("Customer Orders", AND(...)) — or null when there is nothing to filter on
+function ordersSelector(tableName, filters) {
+  const conds = buildConditions(filters);
+  if (conds.length === 0) return null;
+  const expr = conds.length === 1 ? conds[0] : `AND(${conds.join(', ')})`;
+  return `FILTER(${quote(tableName)}, ${expr})`;
+}
+
+// FILTER("Bakery Products Ordered", IN([OrderID], LIST(...)))
+function lineItemsSelector(tableName, orderIds) {
+  const list = orderIds.map(quote).join(', ');
+  return `FILTER(${quote(tableName)}, IN(${ref('lineItems', 'OrderID')}, LIST(${list})))`;
+}
+
+// Single order by _RowNumber (numeric ids) or OrderID
+function orderLookupSelector(tableName, id) {
+  const idStr = String(id).trim();
+  const byId  = `${ref('orders', 'OrderID')} = ${quote(idStr)}`;
+  const expr  = /^\d+$/.test(idStr) ? `OR([_RowNumber] = ${parseInt(idStr, 10)}, ${byId})` : byId;
+  return `FILTER(${quote(tableName)}, ${expr})`;
+}
+
+function inRange(iso, from, to) {
+  return (!from || iso >= from) && (!to || iso <= to);
+}
+
+// JS equivalent of ordersSelector() for an already-normalized order
+function matchesFilters(order, filters) {
+  if (filters.pickupFrom || filters.pickupTo) {
+    if (!inRange(toISODate(order['Due Pickup Date']), filters.pickupFrom, filters.pickupTo)) return false;
+  }
+  if (filters.orderFrom || filters.orderTo) {
+    if (!inRange(toISODate(order['Order Date']), filters.orderFrom, filters.orderTo)) return false;
+  }
+  if (filters.status && order['Status'] !== filters.status) return false;
+  if (filters.type && order['Order Type'] !== filters.type) return false;
+  if (filters.customer) {
+    const name = String(order['Order Name'] || order['Customer Name'] || '').toLowerCase();
+    if (!name.includes(filters.customer.toLowerCase())) return false;
+  }
+  return true;
+}
+
+module.exports = {
+  parseFilters,
+  hasFilters,
+  ordersSelector,
+  lineItemsSelector,
+  orderLookupSelector,
+  matchesFilters,
+  toISODate,
+};
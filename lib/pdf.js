@@ -0,0 +1,127 @@
+// lib/pdf.js — render print HTML to PDF with a local headless Chrome
+// Uses puppeteer-core, which drives an installed Chrome/Chromium rather than
+// downloading one. Set CHROME_PATH if it isn't in one of the usual places.
+// The browser is started on first use and reused for later requests.
+//
+// Pages render with JavaScript off and every request blocked except data:
+// URLs, so print markup can't reach the network (or the server's own) and the
+// PDF doesn't wait on it. The fonts are bundled (@fontsource) and inlined.
+
+const fs   = require('fs');
+const path = require('path');
+
+const CHROME_CANDIDATES = [
+  '/usr/bin/google-chrome',
+  '/usr/bin/google-chrome-stable',
+  '/usr/bin/chromium',
+  '/usr/bin/chromium-browser',
+  '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
+  'C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe',
+];
+
+const RENDER_TIMEOUT_MS = 15 * 1000;
+
+// The weights style.css uses, latin subset: [package, file prefix, family, weight, style]
+const FONTS = [
+  ['arsenal',   'arsenal-latin',   'Arsenal',   400, 'normal'],
+  ['arsenal',   'arsenal-latin',   'Arsenal',   700, 'normal'],
+  ['arsenal',   'arsenal-latin',   'Arsenal',   400, 'italic'],
+  ['noto-sans', 'noto-sans-latin', 'Noto Sans', 400, 'normal'],
+  ['noto-sans', 'noto-sans-latin', 'Noto Sans', 600, 'normal'],
+  ['noto-sans', 'noto-sans-latin', 'Noto Sans', 700, 'normal'],
+];
+
+let browserPromise = null;
+
+// Path to a Chrome binary, or null when none is installed
+function chromePath() {
+  if (process.env.CHROME_PATH) return fs.existsSync(process.env.CHROME_PATH) ? process.env.CHROME_PATH : null;
+  return CHROME_CANDIDATES.find(p => fs.existsSync(p)) || null;
+}
+
+function getBrowser() {
+  if (!browserPromise) {
+    const puppeteer = require('puppeteer-core');
+    browserPromise = puppeteer.launch({
+      executablePath: chromePath(),
+      headless: true,
+      args: ['--no-sandbox', '--disable-dev-shm-usage', '--font-render-hinting=none'],
+    }).then(browser => {
+      // Start fresh next time if Chrome crashes or is closed
+      browser.on('disconnected', () => { browserPromise = null; });
+      return browser;
+    }).catch(err => {
+      browserPromise = null;
+      throw err;
+    });
+  }
+  return browserPromise;
+}
+
+// The app stylesheet, inlined so the page doesn't need to fetch anything local
+let styles = null;
+function printStyles() {
+  if (styles === null) styles = fs.readFileSync(path.join(__dirname, '..', 'public', 'style.css'), 'utf8');
+  return styles;
+}
+
+// @font-face rules with the bundled fonts as data: URLs; a missing package
+// just means system fonts
+let fontFaces = null;
+function printFonts() {
+  if (fontFaces === null) {
+    fontFaces = FONTS.map(([pkg, prefix, family, weight, style]) => {
+      try {
+        const file = require.resolve(`@fontsource/${pkg}/files/${prefix}-${weight}-${style}.woff2`);
+        const data = fs.readFileSync(file).toString('base64');
+        return `@font-face { font-family: '${family}'; font-style: ${style}; font-weight: ${weight}; ` +
+               `src: url(data:font/woff2;base64,${data}) format('woff2'); }`;
+      } catch {
+        return '';
+      }
+    }).join('\n');
+  }
+  return fontFaces;
+}
+
+// Wrap rendered orders the way index.html's #printContainer holds them
+function printDocument(bodyHtml, title = 'Orders') {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${title}</title>
+  <style>${printFonts()}</style>
+  <style>${printStyles()}</style>
+</head>
+<body>
+  <div id="printContainer">${bodyHtml}</div>
+</body>
+</html>`;
+}
+
+// HTML document → PDF Buffer (US Letter, print media styles)
+async function renderPdf(html) {
+  const browser = await getBrowser();
+  const page = await browser.newPage();
+  try {
+    await page.setJavaScriptEnabled(false);
+    await page.setRequestInterception(true);
+    page.on('request', request => {
+      if (request.url().startsWith('data:')) request.continue();
+      else request.abort('blockedbyclient');
+    });
+    await page.emulateMediaType('print');
+    await page.setContent(html, { waitUntil: 'load', timeout: RENDER_TIMEOUT_MS });
+    const pdf = await page.pdf({ format: 'Letter', printBackground: true, preferCSSPageSize: true });
+    return Buffer.from(pdf);
+  } finally {
+    await page.close().catch(() => {});
+  }
+}
+
+module.exports = {
+  chromePath,
+  printDocument,
+  renderPdf,
+};
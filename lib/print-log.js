@@ -0,0 +1,82 @@
+// lib/print-log.js — who printed which order, when, and with what template
+// Appended to print-log.jsonl in DATA_DIR (see lib/store.js), one line per
+// order per print, and kept in memory after the first read for the summaries
+// shown on order cards.
+//
+// Entry: { key, order, at, by, device, template, via }
+//   key       printKey() from public/print-templates.js
+//   order     what staff call it (#4817, A1F3C9)
+//   by        the logged-in staff name
+//   device    label the browser sends, so a shared login still tells
+//             the counter tablet from the office PC
+//   template  'default', 'v<store version>', or 'custom'
+//   via       'browser' (window.print) or 'pdf' (/api/print)
+
+const fs   = require('fs');
+const path = require('path');
+const { dataDir } = require('./store');
+
+let entries = null;
+
+function logPath() {
+  return path.join(dataDir(), 'print-log.jsonl');
+}
+
+function allEntries() {
+  if (entries) return entries;
+  try {
+    entries = fs.readFileSync(logPath(), 'utf8').split('\n').filter(Boolean).flatMap(line => {
+      try {
+        return [JSON.parse(line)];
+      } catch {
+        return []; // a torn last line from a crash
+      }
+    });
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+    entries = [];
+  }
+  return entries;
+}
+
+// Record one print of several orders; returns the new entries
+function recordPrints(orders, { by, device, template, via }) {
+  const at = new Date().toISOString();
+  const added = orders.map(o => ({
+    key:      o.key,
+    order:    o.order || null,
+    at,
+    by:       by || null,
+    device:   device || null,
+    template: template || null,
+    via,
+  }));
+  const log = allEntries(); // read before appending, or the new lines count twice
+  fs.mkdirSync(dataDir(), { recursive: true });
+  fs.appendFileSync(logPath(), added.map(e => JSON.stringify(e) + '\n').join(''));
+  log.push(...added);
+  return added;
+}
+
+// key → { count, lastAt, lastBy, lastDevice } for the given keys (or all)
+function summarize(keys) {
+  const wanted = keys ? new Set(keys) : null;
+  const summary = {};
+  for (const e of allEntries()) {
+    if (wanted && !wanted.has(e.key)) continue;
+    const s = summary[e.key] || (summary[e.key] = { count: 0, lastAt: null, lastBy: null, lastDevice: null });
+    s.count++;
+    if (!s.lastAt || e.at > s.lastAt) Object.assign(s, { lastAt: e.at, lastBy: e.by, lastDevice: e.device });
+  }
+  return summary;
+}
+
+function entriesFor(key) {
+  return allEntries().filter(e => e.key === key);
+}
+
+module.exports = {
+  recordPrints,
+  summarize,
+  entriesFor,
+};
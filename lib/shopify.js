@@ -0,0 +1,403 @@
+// lib/shopify.js — shared Shopify Admin API access
+// Token management, cursor pagination, and normalization of "Local Delivery
+// Order" orders to the order model (line-item properties mapped through
+// lib/field-map.js). Serves fixture payloads in demo mode.
+//
+//   SHOPIFY_BASE_URL   API host instead of https://<SHOPIFY_STORE_DOMAIN>, e.g.
+//                      http://localhost:4010 for scripts/mock-upstream.js
+
+const fetch = require('node-fetch');
+const { hasFilters, matchesFilters } = require('./order-filters');
+const { isDemoMode, demoRows } = require('./demo');
+const { shopifyPropertyMap } = require('./field-map');
+const { usDateInZone } = require('./timezone');
+
+// Delivery dates live in note attributes, which Shopify can't filter on, so a
+// delivery-date range is scoped by creation date with this much lookback.
+const DELIVERY_LOOKBACK_DAYS = parseInt(process.env.SHOPIFY_DELIVERY_LOOKBACK_DAYS, 10) || 60;
+
+// Safety valve — 40 pages × 250 = 10,000 orders
+const MAX_PAGES = 40;
+
+// Tag that marks an order for the bakery's delivery list
+const DELIVERY_TAG = 'Local Delivery Order';
+
+// created_at is a UTC timestamp: a 9 PM order is still that day at the bakery
+function formatDate(isoStr) {
+  return usDateInZone(isoStr);
+}
+
+// Admin API origin for the store
+function shopifyBaseUrl(shopDomain) {
+  return (process.env.SHOPIFY_BASE_URL || `https://${shopDomain}`).replace(/\/+$/, '');
+}
+
+function formatPhone(phone) {
+  if (!phone) return '';
+  // Strip to digits only (drop leading +1 for US numbers)
+  const digits = phone.replace(/[^\d]/g, '');
+  const d = digits.length === 11 && digits.startsWith('1') ? digits.slice(1) : digits;
+  if (d.length === 10) {
+    return `(${d.slice(0,3)}) ${d.slice(3,6)}-${d.slice(6)}`;
+  }
+  return phone; // return as-is if not 10-digit US
+}
+
+function parseDeliveryDateTime(order) {
+  const attrs = order.note_attributes || [];
+  let deliveryDate = '';
+  let deliveryTime = '';
+  let deliveryNote = '';
+
+  // Parse from note_attributes (e.g. Delivery-Date, Delivery-Time, Delivery-Note)
+  for (const attr of attrs) {
+    const name = (attr.name || '');
+    if (name === 'Delivery-Date') deliveryDate = attr.value || '';
+    if (name === 'Delivery-Time') deliveryTime = attr.value || '';
+    if (name === 'Delivery-Note') deliveryNote = attr.value || '';
+  }
+
+  // Convert YYYY/MM/DD or YYYY-MM-DD to MM/DD/YYYY
+  if (deliveryDate) {
+    const m = deliveryDate.match(/^(\d{4})[\/\-](\d{1,2})[\/\-](\d{1,2})$/);
+    if (m) deliveryDate = `${m[2].padStart(2,'0')}/${m[3].padStart(2,'0')}/${m[1]}`;
+  }
+
+  // Fallback: parse MM-DD-YYYY from order tags
+  if (!deliveryDate && order.tags) {
+    const tagMatch = order.tags.match(/(\d{2})-(\d{2})-(\d{4})/);
+    if (tagMatch) deliveryDate = `${tagMatch[1]}/${tagMatch[2]}/${tagMatch[3]}`;
+  }
+
+  return { deliveryDate, deliveryTime, deliveryNote };
+}
+
+function buildAddress(addr) {
+  if (!addr) return '';
+  const parts = [
+    addr.address1,
+    addr.address2,
+    addr.city,
+    addr.province_code,
+    addr.zip,
+  ].filter(Boolean);
+  return parts.join(', ');
+}
+
+// Does a property name match a pattern from shopifyProperties ("Add-On:*" is a prefix)?
+function propertyMatches(name, pattern) {
+  const n = name.trim().toLowerCase();
+  const p = pattern.trim().toLowerCase();
+  return p.endsWith('*') ? n.startsWith(p.slice(0, -1)) : n === p;
+}
+
+// "Add-On: Candles" = "Yes" → "Candles"; other values keep the value
+function addOnLabel(name, value, pattern) {
+  const label = pattern.endsWith('*') ? name.slice(pattern.length - 1).trim() : '';
+  if (!label) return String(value);
+  return /^(yes|true|1)$/i.test(String(value).trim()) ? label : `${label}: ${value}`;
+}
+
+// Line-item properties → Writing Notes / Color / Flavor / Add-Ons, per the
+// shopifyProperties mapping. Anything unmapped goes to Line Item Notes;
+// _private properties (bundle ids etc.) are dropped.
+function parseLineItemProperties(properties = []) {
+  const mapping = Object.entries(shopifyPropertyMap());
+  const fields  = { 'Writing Notes': [], 'Color': [], 'Flavor': [], 'Add-Ons': [], 'Line Item Notes': [] };
+
+  for (const { name, value } of properties || []) {
+    if (!name || name.startsWith('_') || value === '' || value == null) continue;
+
+    let matched = false;
+    for (const [field, patterns] of mapping) {
+      const pattern = [].concat(patterns).find(p => propertyMatches(name, p));
+      if (!pattern) continue;
+      if (!fields[field]) fields[field] = [];
+      fields[field].push(field === 'Add-Ons' ? addOnLabel(name, value, pattern) : String(value));
+      matched = true;
+      break;
+    }
+    if (!matched) fields['Line Item Notes'].push(`${name}: ${value}`);
+  }
+
+  return Object.fromEntries(Object.entries(fields).map(([field, values]) =>
+    [field, values.join(field === 'Line Item Notes' ? '; ' : ', ')]));
+}
+
+// Shopify sends tags as one comma-separated string
+function hasDeliveryTag(order) {
+  return String(order.tags || '').split(',').map(t => t.trim()).includes(DELIVERY_TAG);
+}
+
+function normalizeOrder(order, index) {
+  const customer = order.customer || {};
+  const shipping = order.shipping_address || order.billing_address || {};
+  const { deliveryDate, deliveryTime, deliveryNote } = parseDeliveryDateTime(order);
+  const phone = order.phone || shipping.phone || customer.phone || '';
+
+  const lineItems = (order.line_items || []).map(item => ({
+    'Product Description': item.title + (item.variant_title ? ` - ${item.variant_title}` : ''),
+    'CakeQty': String(item.quantity || ''),
+    ...parseLineItemProperties(item.properties),
+  }));
+
+  const customerName = [customer.first_name, customer.last_name].filter(Boolean).join(' ')
+    || (shipping.first_name ? [shipping.first_name, shipping.last_name].filter(Boolean).join(' ') : '');
+
+  return {
+    '_RowNumber': index + 1,
+    'OrderID': order.name || `#${order.order_number}`,
+    'ShopifyID': order.id,
+    'Source': 'Shopify',
+    'Order Name': customerName,
+    'Customer Name': customerName,
+    'Order Date': formatDate(order.created_at),
+    'Order Notes': deliveryNote || order.note || '',
+    'Location': buildAddress(shipping),
+    'Total': order.total_price ? `$${parseFloat(order.total_price).toFixed(2)}` : '',
+    'Line Items': lineItems,
+    'Order Count': String(lineItems.length),
+    'PhoneNumber': formatPhone(phone),
+    'Status': order.cancelled_at ? 'cancelled' : (order.fulfillment_status || 'unfulfilled'),
+    'Order Type': 'Local Delivery Order',
+    'Due Pickup Date': deliveryDate || formatDate(order.created_at),
+    'Due Pickup Time': deliveryTime || '',
+    'Delivery Address': buildAddress(shipping),
+    'Delivery Note': deliveryNote || '',
+    'Delivery Attributes': (order.note_attributes || [])
+      .filter(a => a.name && !a.name.startsWith('_') && a.name !== 'Checkout-Method' && a.name !== 'Delivery-Location-Id' && a.name !== 'Delivery-Slot-Id')
+      .map(a => ({ name: a.name.replace(/-/g, ' '), value: a.value })),
+  };
+}
+
+// ----------------------------------------------------------------
+// Dynamic Token Management (OAuth 2.0 Client Credentials Grant)
+// Tokens expire every 24h — cached in memory with 60s buffer.
+// ----------------------------------------------------------------
+let cachedToken = null;
+let tokenExpiresAt = 0;
+
+async function getAccessToken(shopDomain, clientId, clientSecret) {
+  // Return cached token if still valid
+  if (cachedToken && Date.now() < tokenExpiresAt - 60_000) {
+    return cachedToken;
+  }
+
+  const { URLSearchParams } = require('url');
+  const response = await fetch(
+    `${shopifyBaseUrl(shopDomain)}/admin/oauth/access_token`,
+    {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        grant_type: 'client_credentials',
+        client_id: clientId,
+        client_secret: clientSecret,
+      }),
+    }
+  );
+
+  if (!response.ok) {
+    const text = await response.text();
+    throw new Error(`Shopify token exchange ${response.status}: ${text.slice(0, 300)}`);
+  }
+
+  const data = await response.json();
+  cachedToken = data.access_token;
+  tokenExpiresAt = Date.now() + (data.expires_in || 86399) * 1000;
+  return cachedToken;
+}
+
+// YYYY-MM-DD shifted by N days (UTC arithmetic, date-only)
+function shiftDate(iso, days) {
+  const d = new Date(`${iso}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+// created_at_min/max bounds for the requested filters. Bounds are padded by a
+// day because created_at is UTC while our dates are store-local; the exact
+// filter runs on the normalized orders afterwards.
+function createdAtScope(filters) {
+  const mins = [];
+  const maxes = [];
+  if (filters.orderFrom)  mins.push(shiftDate(filters.orderFrom, -1));
+  if (filters.orderTo)    maxes.push(shiftDate(filters.orderTo, 1));
+  if (filters.pickupFrom) mins.push(shiftDate(filters.pickupFrom, -DELIVERY_LOOKBACK_DAYS));
+  if (filters.pickupTo)   maxes.push(shiftDate(filters.pickupTo, 1));
+  return {
+    min: mins.length ? mins.sort().pop() : '',
+    max: maxes.length ? maxes.sort()[0] : '',
+  };
+}
+
+// Authenticated Admin API request; throws with the response text on failure
+async function shopifyFetch(url, accessToken, { method = 'GET', body } = {}) {
+  const response = await fetch(url, {
+    method,
+    headers: {
+      'X-Shopify-Access-Token': accessToken,
+      'Content-Type': 'application/json',
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+
+  if (!response.ok) {
+    // If 401, clear cached token so next request gets a fresh one
+    if (response.status === 401) { cachedToken = null; tokenExpiresAt = 0; }
+    const text = await response.text();
+    throw new Error(`Shopify API ${response.status}: ${text.slice(0, 200)}`);
+  }
+  return response;
+}
+
+// Pull the rel="next" URL out of Shopify's Link header
+function nextPageUrl(linkHeader) {
+  if (!linkHeader) return null;
+  const m = linkHeader.split(',').map(s => s.trim()).find(s => /rel="next"/.test(s));
+  const url = m && m.match(/<([^>]+)>/);
+  return url ? url[1] : null;
+}
+
+// Follow page_info cursors until there is no next page
+async function fetchAllOrders(apiUrl, accessToken) {
+  const orders = [];
+  let url = apiUrl;
+  let pages = 0;
+
+  while (url) {
+    if (++pages > MAX_PAGES) {
+      console.warn(`[shopify] Stopped after ${MAX_PAGES} pages`);
+      break;
+    }
+
+    const response = await shopifyFetch(url, accessToken);
+    const data = await response.json();
+    orders.push(...(data.orders || []));
+    url = nextPageUrl(response.headers.get('link'));
+  }
+
+  return orders;
+}
+
+function shopifyConfig() {
+  return {
+    shopDomain:   process.env.SHOPIFY_STORE_DOMAIN,
+    clientId:     process.env.SHOPIFY_CLIENT_ID,
+    clientSecret: process.env.SHOPIFY_CLIENT_SECRET,
+  };
+}
+
+function isShopifyConfigured(config = shopifyConfig()) {
+  if (isDemoMode()) return true;
+  return !!(config.shopDomain && config.clientId && config.clientSecret);
+}
+
+// Normalized delivery orders matching the filters
+async function loadShopifyOrders(filters, updatedSince = '', config = shopifyConfig()) {
+  if (isDemoMode()) {
+    const orders = demoRows('shopify')
+      .filter(o => !updatedSince || new Date(o.updated_at) >= new Date(updatedSince))
+      .map(normalizeOrder);
+    return orders.filter(o => matchesFilters(o, filters));
+  }
+
+  const { shopDomain, clientId, clientSecret } = config;
+  const accessToken = await getAccessToken(shopDomain, clientId, clientSecret);
+
+  // Fetch orders tagged "Local Delivery Order" — 250 per page (Shopify max)
+  const params = new URLSearchParams({ status: 'any', limit: '250', tag: DELIVERY_TAG });
+  const scope = createdAtScope(filters);
+  if (scope.min)    params.set('created_at_min', `${scope.min}T00:00:00Z`);
+  if (scope.max)    params.set('created_at_max', `${scope.max}T23:59:59Z`);
+  if (updatedSince) params.set('updated_at_min', updatedSince);
+
+  const apiUrl = `${shopifyBaseUrl(shopDomain)}/admin/api/2025-01/orders.json?${params}`;
+  const raw = await fetchAllOrders(apiUrl, accessToken);
+
+  const orders = raw.map(normalizeOrder);
+  return hasFilters(filters) ? orders.filter(o => matchesFilters(o, filters)) : orders;
+}
+
+// A single delivery order by its Shopify name (#1234) — or null
+async function findShopifyOrder(name, config = shopifyConfig()) {
+  const orderName = String(name).startsWith('#') ? String(name) : `#${name}`;
+
+  if (isDemoMode()) {
+    const order = demoRows('shopify').find(o => o.name === orderName);
+    return order ? normalizeOrder(order, 0) : null;
+  }
+
+  const { shopDomain, clientId, clientSecret } = config;
+  const accessToken = await getAccessToken(shopDomain, clientId, clientSecret);
+
+  const params = new URLSearchParams({ status: 'any', name: orderName });
+  const raw = await fetchAllOrders(`${shopifyBaseUrl(shopDomain)}/admin/api/2025-01/orders.json?${params}`, accessToken);
+
+  // name= is a prefix match on some API versions, so confirm it exactly
+  const order = raw.find(o => o.name === orderName);
+  return order ? normalizeOrder(order, 0) : null;
+}
+
+
+// Fulfill every open fulfillment order of one Shopify order.
+// Returns 'fulfilled', or 'already_fulfilled' when nothing was left open.
+async function fulfillOrder(shopDomain, accessToken, orderId, notifyCustomer) {
+  const base = `${shopifyBaseUrl(shopDomain)}/admin/api/2025-01`;
+  const foRes = await shopifyFetch(`${base}/orders/${orderId}/fulfillment_orders.json`, accessToken);
+  const { fulfillment_orders: fulfillmentOrders = [] } = await foRes.json();
+
+  const open = fulfillmentOrders.filter(fo =>
+    (fo.status === 'open' || fo.status === 'in_progress') &&
+    (fo.supported_actions || []).includes('create_fulfillment'));
+  if (open.length === 0) return 'already_fulfilled';
+
+  await shopifyFetch(`${base}/fulfillments.json`, accessToken, {
+    method: 'POST',
+    body: {
+      fulfillment: {
+        notify_customer: !!notifyCustomer,
+        line_items_by_fulfillment_order: open.map(fo => ({ fulfillment_order_id: fo.id })),
+      },
+    },
+  });
+  return 'fulfilled';
+}
+
+// Mark orders (by numeric Shopify id) fulfilled via their fulfillment orders.
+// One failure doesn't stop the rest: returns [{ id, status, error? }].
+async function fulfillOrders(orderIds, { notifyCustomer = false } = {}, config = shopifyConfig()) {
+  if (isDemoMode()) {
+    return orderIds.map(id => {
+      const order = demoRows('shopify').find(o => String(o.id) === String(id));
+      if (!order) return { id, status: 'error', error: 'Order not found' };
+      const status = order.fulfillment_status === 'fulfilled' ? 'already_fulfilled' : 'fulfilled';
+      order.fulfillment_status = 'fulfilled';
+      return { id, status };
+    });
+  }
+
+  const { shopDomain, clientId, clientSecret } = config;
+  const accessToken = await getAccessToken(shopDomain, clientId, clientSecret);
+
+  const results = [];
+  // Sequential on purpose — Shopify's REST limit is 2 requests/second
+  for (const id of orderIds) {
+    try {
+      results.push({ id, status: await fulfillOrder(shopDomain, accessToken, id, notifyCustomer) });
+    } catch (err) {
+      results.push({ id, status: 'error', error: err.message });
+    }
+  }
+  return results;
+}
+
+module.exports = {
+  shopifyConfig,
+  isShopifyConfigured,
+  hasDeliveryTag,
+  normalizeOrder,
+  loadShopifyOrders,
+  findShopifyOrder,
+  fulfillOrders,
+};
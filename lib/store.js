@@ -0,0 +1,158 @@
+// lib/store.js — shared documents for the management pages, kept on disk
+// Runbooks, shift planning lists and the print template used to live in one
+// browser's localStorage; now every device reads and writes the same copy.
+// Each collection is one JSON file in DATA_DIR:
+//
+//   { version, updatedAt, updatedBy, data, history? }
+//
+// Writes carry the version they were based on; a stale one is refused with a
+// ConflictError so a tablet can't silently overwrite the office PC's edit.
+//
+// Collections with a restoreAction also keep history: a hash of each version
+// they replaced. Saving data that matches one of those is a restore, however
+// the request was sent, so the role check can't be skipped by leaving out the
+// page's restore flag. (Versions saved before history was kept aren't known.)
+//
+//   DATA_DIR   where the files live (default ./data). On Vercel the app
+//              directory is read-only: point this at persistent storage
+//              mounted on the server, or run server.js instead.
+
+const crypto = require('crypto');
+const fs     = require('fs');
+const path   = require('path');
+
+// Replaced versions remembered per collection
+const HISTORY_LIMIT = 500;
+
+// Collection → settings. Only these names are accepted by /api/store.
+//   writeRole     lowest role that may save (lib/auth.js ROLES)
+//   removeAction  needed when a save drops existing items (matched by id)
+//   resetAction   needed to delete the whole document
+//   restoreAction needed to put back an older version (see history above)
+const COLLECTIONS = {
+  stations:        { writeRole: 'lead', removeAction: 'station.delete', restoreAction: 'snapshot.restore' },
+  shiftTemplates:  { writeRole: 'lead' },
+  shiftChecklists: { writeRole: 'lead', removeAction: 'checklist.delete' },
+  shiftEmployees:  { writeRole: 'lead' },
+  printTemplate:   { writeRole: 'lead', resetAction: 'template.reset' },
+};
+
+class ConflictError extends Error {
+  constructor(current) {
+    super('Changed on another device since you loaded it');
+    this.name    = 'ConflictError';
+    this.code    = 'conflict';
+    this.current = current;
+  }
+}
+
+function dataDir() {
+  return process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+}
+
+function filePath(name) {
+  return path.join(dataDir(), `${name}.json`);
+}
+
+// Never-saved collections read as version 0 with no data
+function read(name) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath(name), 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return { version: 0, updatedAt: null, updatedBy: null, data: null };
+    throw err;
+  }
+}
+
+// Write to a temp file and rename, so a crash never leaves half a document
+function writeAtomic(name, doc) {
+  fs.mkdirSync(dataDir(), { recursive: true });
+  const tmp = `${filePath(name)}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(doc, null, 2));
+  fs.renameSync(tmp, filePath(name));
+}
+
+// Saves to one collection run one at a time, so two requests can't both
+// pass the version check before either has written
+const queues = new Map();
+function serialize(name, fn) {
+  const run = (queues.get(name) || Promise.resolve()).then(fn);
+  queues.set(name, run.catch(() => {}));
+  return run;
+}
+
+// The document as clients see it (history stays on the server)
+function getDocument(name) {
+  const { history, ...doc } = read(name);
+  return doc;
+}
+
+// Same hash for the same data whatever order its keys come back in (the
+// page's snapshots round-trip through Postgres jsonb, which reorders them)
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+function contentHash(data) {
+  return crypto.createHash('sha256').update(canonicalJson(data)).digest('hex');
+}
+
+// Is data an earlier version of the document (and not the current one)?
+function isPastVersion(name, data) {
+  const current = read(name);
+  const hash = contentHash(data);
+  if (current.data != null && contentHash(current.data) === hash) return false;
+  return (current.history || []).some(entry => entry.hash === hash);
+}
+
+// Save data based on baseVersion; resolves to the new document
+function saveDocument(name, data, baseVersion, by) {
+  return serialize(name, () => {
+    const { history = [], ...current } = read(name);
+    if (baseVersion !== current.version) throw new ConflictError(current);
+    const doc = {
+      version:   current.version + 1,
+      updatedAt: new Date().toISOString(),
+      updatedBy: by || null,
+      data,
+    };
+    if (COLLECTIONS[name]?.restoreAction) {
+      const replaced = current.data != null ? [{ version: current.version, hash: contentHash(current.data) }] : [];
+      writeAtomic(name, { ...doc, history: [...history, ...replaced].slice(-HISTORY_LIMIT) });
+    } else {
+      writeAtomic(name, doc);
+    }
+    return doc;
+  });
+}
+
+function deleteDocument(name, baseVersion) {
+  return serialize(name, () => {
+    const current = getDocument(name);
+    if (baseVersion !== undefined && baseVersion !== current.version) throw new ConflictError(current);
+    fs.rmSync(filePath(name), { force: true });
+    return { version: 0, updatedAt: null, updatedBy: null, data: null };
+  });
+}
+
+// Ids present in the saved list but missing from the new one
+function removedIds(current, next) {
+  if (!Array.isArray(current) || !Array.isArray(next)) return [];
+  const kept = new Set(next.map(item => item && item.id));
+  return current.filter(item => item && item.id && !kept.has(item.id)).map(item => item.id);
+}
+
+module.exports = {
+  COLLECTIONS,
+  dataDir,
+  ConflictError,
+  getDocument,
+  isPastVersion,
+  saveDocument,
+  deleteDocument,
+  removedIds,
+};
@@ -0,0 +1,42 @@
+// lib/timezone.js — the bakery's time zone, for every date the server works out
+// Vercel runs in UTC, so "today", Shopify's created_at and the print date all
+// have to be read on the bakery's clock rather than the server's.
+//
+//   BUSINESS_TIMEZONE   IANA zone name (default America/Chicago). Also sent to
+//                       AppSheet with every call and to pages via /api/config.
+//
+// The date helpers themselves live in public/print-templates.js so the pages
+// use the same ones; requiring this module points them at the configured zone.
+
+const {
+  setBusinessTimeZone,
+  getBusinessTimeZone,
+  isoDateInZone,
+  businessToday,
+} = require('../public/print-templates');
+
+const DEFAULT_TIMEZONE = 'America/Chicago';
+
+if (!setBusinessTimeZone(process.env.BUSINESS_TIMEZONE || DEFAULT_TIMEZONE)) {
+  setBusinessTimeZone(DEFAULT_TIMEZONE);
+}
+
+function businessTimezone() {
+  return getBusinessTimeZone();
+}
+
+// A moment (ISO string or Date) → MM/DD/YYYY on the bakery's calendar
+function usDateInZone(value) {
+  if (!value) return '';
+  const d = value instanceof Date ? value : new Date(value);
+  if (isNaN(d.getTime())) return '';
+  const [yyyy, mm, dd] = isoDateInZone(d).split('-');
+  return `${mm}/${dd}/${yyyy}`;
+}
+
+module.exports = {
+  businessTimezone,
+  businessToday,
+  isoDateInZone,
+  usDateInZone,
+};
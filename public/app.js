@@ -4,69 +4,86 @@
 
 'use strict';
 
-// ----------------------------------------------------------------
-// Default Print Template
-// ----------------------------------------------------------------
-// Template generates both Packing Slip + Bakery Sheet halves on one page.
-// Field names match AppSheet "Customer Orders" table — update if yours differ.
-const DEFAULT_TEMPLATE = `<!-- ═══ PACKING SLIP (top half) ═══ -->
-<div class="slip-half">
-  <div class="slip-title">Packing Slip</div>
-  <div class="slip-order-count-banner"><strong>Order Count: {{Order Count}}</strong></div>
-  <div class="slip-header">
-    <div>
-      <div class="slip-order-id">{{OrderID}}</div>
-      <h2 class="slip-customer">{{Order Name}}</h2>
-    </div>
-    <span class="slip-count">{{Order Count}}</span>
-  </div>
-  <div class="slip-meta">
-    <div><strong>Due Date:</strong> {{Due Pickup Date}}</div>
-    <div><strong>Due Time:</strong> {{Due Pickup Time}}</div>
-    <div><strong>Number:</strong> {{PhoneNumber}}</div>
-  </div>
-  {{LINE_ITEMS_TABLE}}
-</div>
-
-<hr class="slip-divider">
-
-<!-- ═══ BAKERY SHEET (bottom half) ═══ -->
-<div class="slip-half">
-  <div class="slip-title">Bakery Sheet</div>
-  <div class="slip-order-count-banner"><strong>Order Count: {{Order Count}}</strong></div>
-  <div class="slip-header">
-    <div>
-      <div class="slip-order-id">{{OrderID}}</div>
-      <h2 class="slip-customer">{{Order Name}}</h2>
-    </div>
-    <span class="slip-count">{{Order Count}}</span>
-  </div>
-  <div class="slip-meta">
-    <div><strong>Due Date:</strong> {{Due Pickup Date}}</div>
-    <div><strong>Due Time:</strong> {{Due Pickup Time}}</div>
-    <div><strong>Number:</strong> {{PhoneNumber}}</div>
-  </div>
-  {{LINE_ITEMS_TABLE}}
-</div>`;
+// DEFAULT_TEMPLATE, renderOrderForPrint(), printKey() and the date/time/escaping
+// helpers come from print-templates.js (loaded before this file).
+
+// Statuses staff can set: the server's list (ORDER_STATUSES, via /api/config)
+// replaces these at boot; they're only used if that can't be reached
+let orderStatuses = ['Pending', 'In Production', 'Ready', 'Picked Up', 'Cancelled'];
+
+// Where each view tab loads its orders from
+const VIEW_ENDPOINTS = {
+  orders:   '/api/orders',
+  delivery: '/api/shopify-orders',
+  all:      '/api/all-orders',
+};
+
+// Other devices' prints show up within this long
+const PRINT_LOG_REFRESH_MS = 30 * 1000;
+// Encoded length of one ?keys= list; longer lists are split across requests
+const PRINT_LOG_QUERY_MAX = 4000;
+
+// Spreadsheet export columns. 'order' columns repeat on every line-item row;
+// 'summary' is only offered one-row-per-order, 'item' only per line item.
+const EXPORT_COLUMNS = [
+  { id: 'OrderID',         label: 'Order ID',     level: 'order' },
+  { id: 'Source',          label: 'Source',       level: 'order', value: o => o['Source'] || 'AppSheet' },
+  { id: 'Customer',        label: 'Customer',     level: 'order', value: o => o['Order Name'] || o['Customer Name'] || '' },
+  { id: 'PhoneNumber',     label: 'Phone',        level: 'order' },
+  { id: 'Order Date',      label: 'Order Date',   level: 'order', type: 'date' },
+  { id: 'Due Pickup Date', label: 'Pickup Date',  level: 'order', type: 'date' },
+  { id: 'Due Pickup Time', label: 'Pickup Time',  level: 'order' },
+  { id: 'Status',          label: 'Status',       level: 'order' },
+  { id: 'Order Type',      label: 'Order Type',   level: 'order' },
+  { id: 'Order Count',     label: 'Item Count',   level: 'order', type: 'number' },
+  { id: 'Total',           label: 'Total',        level: 'order', type: 'money' },
+  { id: 'Location',        label: 'Location',     level: 'order' },
+  { id: 'Order Notes',     label: 'Order Notes',  level: 'order' },
+  { id: 'Printed',         label: 'Times Printed', level: 'order', type: 'number', value: o => printLog[printKey(o)]?.count || 0 },
+  { id: 'Items',           label: 'Items',        level: 'summary', value: o => itemsText(o) },
+  { id: 'Product Description', label: 'Product',  level: 'item' },
+  { id: 'CakeQty',         label: 'Qty',          level: 'item', type: 'number' },
+  { id: 'Flavor',          label: 'Flavor',       level: 'item' },
+  { id: 'Writing Notes',   label: 'Writing',      level: 'item' },
+  { id: 'Color',           label: 'Color',        level: 'item' },
+  { id: 'Add-Ons',         label: 'Add-Ons',      level: 'item' },
+  { id: 'Line Item Notes', label: 'Item Notes',   level: 'item' },
+];
+
+// SheetJS 0.20.3 (mini build: .xlsx only), served from public/vendor rather than
+// a CDN since this page holds customer details. Loaded the first time someone
+// exports to Excel.
+const SHEETJS_URL = '/vendor/xlsx/xlsx.mini.min.js';
 
 // ----------------------------------------------------------------
 // State
 // ----------------------------------------------------------------
 let allOrders      = [];
 let filteredOrders = [];
-let selectedIds    = new Set(); // keyed by _RowNumber (string)
+let selectedIds    = new Set(); // keyed by orderKey()
 let sortField      = '_RowNumber';
 let sortAsc        = true;
-let currentView    = 'orders'; // 'orders' | 'delivery'
+let currentView    = 'orders'; // 'orders' | 'delivery' | 'all'
+let liveSource     = null;     // EventSource for /api/events
+let livePollTimer  = null;     // fallback polling when the host can't stream
+const freshKeys    = new Set(); // orders that just arrived — flashed on render
+let printLog       = {};        // printKey() → { count, lastAt, lastBy, lastDevice }
 
 // ----------------------------------------------------------------
 // DOM refs
 // ----------------------------------------------------------------
 const ordersList      = document.getElementById('ordersList');
 const ordersCount     = document.getElementById('ordersCount');
+const dataAsOf        = document.getElementById('dataAsOf');
 const actionBarCount  = document.getElementById('actionBarCount');
 const printBtn        = document.getElementById('printBtn');
 const printAllBtn     = document.getElementById('printAllBtn');
+const pdfBtn          = document.getElementById('pdfBtn');
+const exportBtn       = document.getElementById('exportBtn');
+const bulkStatusSelect = document.getElementById('bulkStatusSelect');
+const bulkFulfillBtn   = document.getElementById('bulkFulfillBtn');
+const bulkNotifyWrap   = document.getElementById('bulkNotifyWrap');
+const bulkNotifyCustomer = document.getElementById('bulkNotifyCustomer');
 const printContainer  = document.getElementById('printContainer');
 const filterToggleBtn = document.getElementById('filterToggleBtn');
 const filterPanel     = document.getElementById('filterPanel');
@@ -80,6 +97,7 @@ const groupDateTo     = document.getElementById('groupDateTo');
 const groupOrderDateFrom = document.getElementById('groupOrderDateFrom');
 const groupOrderDateTo   = document.getElementById('groupOrderDateTo');
 const statusSelect      = document.getElementById('statusSelect');
+const printedSelect     = document.getElementById('printedSelect');
 const orderTypeSelect   = document.getElementById('orderTypeSelect');
 const customerSearch    = document.getElementById('customerSearch');
 const clearFiltersBtn   = document.getElementById('clearFiltersBtn');
@@ -102,20 +120,46 @@ const modalNotes          = document.getElementById('modalNotes');
 const modalCloseBtn       = document.getElementById('modalCloseBtn');
 const modalSelectBtn      = document.getElementById('modalSelectBtn');
 const modalPrintBtn       = document.getElementById('modalPrintBtn');
+const modalFulfillRow     = document.getElementById('modalFulfillRow');
+const modalFulfillBtn     = document.getElementById('modalFulfillBtn');
+const modalNotifyCustomer = document.getElementById('modalNotifyCustomer');
+const chimeToggle         = document.getElementById('chimeToggle');
+const bakeListLink        = document.getElementById('bakeListLink');
 let   modalCurrentId      = null;
+// Export modal
+const exportModalBackdrop = document.getElementById('exportModalBackdrop');
+const exportCount         = document.getElementById('exportCount');
+const exportColumnsEl     = document.getElementById('exportColumns');
+const exportNote          = document.getElementById('exportNote');
+const exportCloseBtn      = document.getElementById('exportCloseBtn');
+const exportCancelBtn     = document.getElementById('exportCancelBtn');
+const exportDownloadBtn   = document.getElementById('exportDownloadBtn');
 
 // ----------------------------------------------------------------
 // Boot
 // ----------------------------------------------------------------
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
+  // "Today" is the bakery's (BUSINESS_TIMEZONE), so know the zone first
+  await loadBusinessTimeZone();
+  const config = await loadServerConfig();
+  if (Array.isArray(config?.statuses) && config.statuses.length) orderStatuses = config.statuses;
   bindViewTabs();
   bindFilterEvents();
   bindQuickActions();
   bindActionBarEvents();
   bindModalEvents();
+  bindExportEvents();
+  bindChimeToggle();
   updateQuickActionButtons();
   setDefaultFilters();
-  fetchOrders();
+  // Refreshes the local copy of the shared print template getTemplate() reads
+  storeLoad('printTemplate', { legacyKey: 'orderPrintTemplate', text: true });
+  setInterval(refreshPrintLog, PRINT_LOG_REFRESH_MS);
+
+  // Deep link: /?order=<OrderID or _RowNumber>, or /?order=%231234 for Shopify
+  const linkedId = new URLSearchParams(window.location.search).get('order');
+  const loaded   = linkedId && linkedId.startsWith('#') ? switchView('delivery') : fetchOrders();
+  if (linkedId) loaded.then(() => openLinkedOrder(linkedId));
 });
 
 function setDefaultFilters() {
@@ -136,41 +180,54 @@ function bindViewTabs() {
     tab.addEventListener('click', () => {
       const view = tab.dataset.view;
       if (view === currentView) return;
-      currentView = view;
+      switchView(view);
+    });
+  });
+}
 
-      // Toggle active tab
-      document.querySelectorAll('.view-tab').forEach(t => {
-        const isActive = t.dataset.view === view;
-        t.classList.toggle('view-tab--active', isActive);
-        t.setAttribute('aria-selected', String(isActive));
-      });
+// Activate a view tab and re-fetch; resolves once the orders are loaded
+function switchView(view) {
+  currentView = view;
 
-      // Hide Order Type filter in delivery view
-      const orderTypeGroup = orderTypeSelect.closest('.filter-group');
-      if (orderTypeGroup) orderTypeGroup.hidden = (currentView === 'delivery');
+  // Toggle active tab
+  document.querySelectorAll('.view-tab').forEach(t => {
+    const isActive = t.dataset.view === view;
+    t.classList.toggle('view-tab--active', isActive);
+    t.setAttribute('aria-selected', String(isActive));
+  });
 
-      // Swap "Pickup Date" ↔ "Delivery Date" labels
-      updateDateLabels();
-      updateQuickActionButtons();
+  // Hide Order Type filter in delivery view
+  const orderTypeGroup = orderTypeSelect.closest('.filter-group');
+  if (orderTypeGroup) orderTypeGroup.hidden = (currentView === 'delivery');
 
-      // Reset selection and re-fetch
-      selectedIds.clear();
-      updateActionBar();
-      fetchOrders();
-    });
-  });
+  // Swap "Pickup Date" ↔ "Delivery Date" labels
+  updateDateLabels();
+  updateQuickActionButtons();
+
+  // Reset selection and re-fetch
+  selectedIds.clear();
+  updateActionBar();
+  return fetchOrders();
 }
 
 function updateQuickActionButtons() {
-  todayPickupsBtn.hidden       = (currentView !== 'orders');
-  upcomingPickupsBtn.hidden    = (currentView !== 'orders');
+  // Status write-back is AppSheet-only; Shopify orders are fulfilled instead.
+  // The All view mixes both, so it gets both controls.
+  bulkStatusSelect.hidden      = (currentView === 'delivery');
+  bulkFulfillBtn.hidden        = (currentView === 'orders');
+  bulkNotifyWrap.hidden        = (currentView === 'orders');
+  todayPickupsBtn.hidden       = (currentView === 'delivery');
+  upcomingPickupsBtn.hidden    = (currentView === 'delivery');
   todayDeliveriesBtn.hidden    = (currentView !== 'delivery');
   upcomingDeliveriesBtn.hidden = (currentView !== 'delivery');
+  // In the All view the pickup buttons cover deliveries too
+  todayPickupsBtn.textContent    = currentView === 'all' ? 'Due Today' : "Today's Pickups";
+  upcomingPickupsBtn.textContent = currentView === 'all' ? 'Due Soon' : 'Upcoming Pickups';
 }
 
 function updateDateLabels() {
   const isDelivery = currentView === 'delivery';
-  const label = isDelivery ? 'Delivery Date' : 'Pickup Date';
+  const label = isDelivery ? 'Delivery Date' : currentView === 'all' ? 'Due Date' : 'Pickup Date';
   // Filter panel labels
   const fromLabel = groupDateFrom.querySelector('label');
   const toLabel   = groupDateTo.querySelector('label');
@@ -181,32 +238,183 @@ function updateDateLabels() {
   if (pickupOption) pickupOption.textContent = label;
   // Sort dropdown — Pickup Time label
   const timeOption = sortFieldEl.querySelector('option[value="Due Pickup Time"]');
-  if (timeOption) timeOption.textContent = isDelivery ? 'Delivery Time' : 'Pickup Time';
+  if (timeOption) timeOption.textContent = isDelivery ? 'Delivery Time' : currentView === 'all' ? 'Due Time' : 'Pickup Time';
 }
 
 // ----------------------------------------------------------------
 // Fetch Orders
 // ----------------------------------------------------------------
-async function fetchOrders() {
+// refresh: true bypasses the server cache (explicit "Get Orders" taps)
+async function fetchOrders({ refresh = false } = {}) {
+  stopLiveUpdates();
   showLoading();
-  const endpoint = currentView === 'delivery' ? '/api/shopify-orders' : '/api/orders';
+  const endpoint = VIEW_ENDPOINTS[currentView];
+  const params   = new URLSearchParams(buildServerQuery());
+  if (refresh) params.set('refresh', '1');
+  const query    = params.toString();
   try {
-    const res = await fetch(endpoint);
-    if (!res.ok) throw new Error(`Server error ${res.status}`);
-    const data = await res.json();
-    if (data?.error) throw new Error(data.error);
+    const res  = await fetch(query ? `${endpoint}?${query}` : endpoint);
+    const data = await res.json().catch(() => null);
+    if (!res.ok || data?.error) {
+      throw Object.assign(new Error(data?.error || `Server error ${res.status}`), {
+        code:       data?.code,
+        retryAfter: data?.retryAfter,
+      });
+    }
 
     allOrders = Array.isArray(data) ? data : [];
+    await loadPrintLog(allOrders);
+    updateDataAsOf(res.headers.get('X-Data-As-Of'), res.headers.get('X-Cache'));
     populateStatusFilter();
     populateOrderTypeFilter();
     applyFilters();
+    startLiveUpdates();
   } catch (err) {
-    showError(err.message);
+    showError(err);
   } finally {
     hideLoading();
   }
 }
 
+// Date ranges are applied server-side so we only download the orders we need.
+// Status, type and customer stay client-side: they filter live as you type and
+// their dropdowns are populated from whatever the date range returned.
+function buildServerQuery() {
+  const params = new URLSearchParams();
+  if (!dateFrom.disabled && dateFrom.value)           params.set('pickupFrom', dateFrom.value);
+  if (!dateTo.disabled && dateTo.value)               params.set('pickupTo',   dateTo.value);
+  if (!orderDateFrom.disabled && orderDateFrom.value) params.set('orderFrom',  orderDateFrom.value);
+  if (!orderDateTo.disabled && orderDateTo.value)     params.set('orderTo',    orderDateTo.value);
+  return params.toString();
+}
+
+// ----------------------------------------------------------------
+// Live Updates
+// ----------------------------------------------------------------
+// /api/events pushes added/changed/removed orders for the current view and
+// date range. Hosts that can't hold a stream open (Vercel) answer "poll", and
+// we re-fetch the view quietly on that interval instead.
+function startLiveUpdates() {
+  stopLiveUpdates();
+  if (typeof EventSource === 'undefined') return;
+
+  const params = new URLSearchParams(buildServerQuery());
+  params.set('view', currentView);
+  liveSource = new EventSource(`/api/events?${params}`);
+
+  ['added', 'changed', 'removed'].forEach(type => {
+    liveSource.addEventListener(type, e => {
+      const { order } = JSON.parse(e.data);
+      applyOrderChanges([{ type, order }]);
+    });
+  });
+  liveSource.addEventListener('poll', e => {
+    const { interval } = JSON.parse(e.data);
+    stopLiveUpdates();
+    livePollTimer = setInterval(pollOrders, Math.max(interval, 5) * 1000);
+  });
+}
+
+function stopLiveUpdates() {
+  if (liveSource) liveSource.close();
+  clearInterval(livePollTimer);
+  liveSource    = null;
+  livePollTimer = null;
+}
+
+// Fallback: fetch the view again and work out what changed ourselves
+async function pollOrders() {
+  const endpoint = VIEW_ENDPOINTS[currentView];
+  const query    = buildServerQuery();
+  try {
+    const res = await fetch(query ? `${endpoint}?${query}` : endpoint);
+    if (!res.ok) return;
+    const data = await res.json();
+    if (!Array.isArray(data)) return;
+
+    const before = new Map(allOrders.map(o => [orderKey(o), JSON.stringify(o)]));
+    const after  = new Set(data.map(orderKey));
+    const changes = [];
+    data.forEach(order => {
+      const prev = before.get(orderKey(order));
+      if (prev === undefined) changes.push({ type: 'added', order });
+      else if (prev !== JSON.stringify(order)) changes.push({ type: 'changed', order });
+    });
+    allOrders.forEach(order => {
+      if (!after.has(orderKey(order))) changes.push({ type: 'removed', order });
+    });
+    if (changes.length) applyOrderChanges(changes);
+    updateDataAsOf(res.headers.get('X-Data-As-Of'), res.headers.get('X-Cache'));
+  } catch (err) {
+    console.warn('Live update poll failed:', err.message);
+  }
+}
+
+function applyOrderChanges(changes) {
+  let added = 0;
+  changes.forEach(({ type, order }) => {
+    const key = orderKey(order);
+    const i   = allOrders.findIndex(o => orderKey(o) === key);
+    if (type === 'removed') {
+      if (i >= 0) allOrders.splice(i, 1);
+      selectedIds.delete(key);
+    } else if (i >= 0) {
+      allOrders[i] = order;
+    } else {
+      allOrders.push(order);
+      freshKeys.add(key);
+      added++;
+      // Stop flashing after a few seconds (re-renders would restart it)
+      setTimeout(() => freshKeys.delete(key), 6000);
+    }
+  });
+
+  populateStatusFilter();
+  populateOrderTypeFilter();
+  applyFilters();
+  if (added && chimeEnabled()) playChime();
+}
+
+function chimeEnabled() {
+  return localStorage.getItem('liveChime') === '1';
+}
+
+function bindChimeToggle() {
+  const render = () => {
+    const on = chimeEnabled();
+    chimeToggle.textContent = on ? '🔔' : '🔕';
+    chimeToggle.setAttribute('aria-pressed', String(on));
+    chimeToggle.title = on ? 'Chime on new orders: on' : 'Chime on new orders: off';
+  };
+  chimeToggle.addEventListener('click', () => {
+    localStorage.setItem('liveChime', chimeEnabled() ? '0' : '1');
+    render();
+    if (chimeEnabled()) playChime(); // also unlocks audio on iPad
+  });
+  render();
+}
+
+// Two short tones — no audio file to load or cache
+let chimeAudio = null;
+function playChime() {
+  try {
+    chimeAudio = chimeAudio || new (window.AudioContext || window.webkitAudioContext)();
+    const now = chimeAudio.currentTime;
+    [880, 1320].forEach((freq, i) => {
+      const osc  = chimeAudio.createOscillator();
+      const gain = chimeAudio.createGain();
+      osc.frequency.value = freq;
+      gain.gain.setValueAtTime(0.2, now + i * 0.18);
+      gain.gain.exponentialRampToValueAtTime(0.001, now + i * 0.18 + 0.3);
+      osc.connect(gain).connect(chimeAudio.destination);
+      osc.start(now + i * 0.18);
+      osc.stop(now + i * 0.18 + 0.3);
+    });
+  } catch (err) {
+    console.warn('Chime unavailable:', err.message);
+  }
+}
+
 // ----------------------------------------------------------------
 // Filter Logic
 // ----------------------------------------------------------------
@@ -216,6 +424,7 @@ function applyFilters() {
   const orderFrom  = orderDateFrom.value;
   const orderTo    = orderDateTo.value;
   const status     = statusSelect.value;
+  const printed    = printedSelect.value;
   const orderType  = orderTypeSelect.value;
   const customerQ  = customerSearch.value.toLowerCase().trim();
 
@@ -240,14 +449,17 @@ function applyFilters() {
       typeMatch = order['Order Type'] === orderType;
     }
 
+    const printedMatch = !printed || (printed === 'yes') === isPrinted(order);
+
     return dateMatch
         && typeMatch
+        && printedMatch
         && (!status    || order['Status'] === status)
         && (!customerQ || name.includes(customerQ));
   });
 
   // Drop any selected IDs that are no longer in filtered list
-  const filteredIds = new Set(filteredOrders.map(o => String(o._RowNumber)));
+  const filteredIds = new Set(filteredOrders.map(o => orderKey(o)));
   for (const id of selectedIds) {
     if (!filteredIds.has(id)) selectedIds.delete(id);
   }
@@ -256,28 +468,52 @@ function applyFilters() {
   renderOrders();
   updateFilterBadge();
   updateActionBar();
+  updateBakeListLink();
 }
 
-function sortOrders() {
-  filteredOrders.sort((a, b) => {
-    let aVal = a[sortField] ?? '';
-    let bVal = b[sortField] ?? '';
+// The bake list counts the same orders: this view, dates and filters
+function updateBakeListLink() {
+  const params = new URLSearchParams(buildServerQuery());
+  params.set('view', currentView);
+  if (statusSelect.value)           params.set('status', statusSelect.value);
+  if (orderTypeSelect.value)        params.set('type', orderTypeSelect.value);
+  if (customerSearch.value.trim())  params.set('customer', customerSearch.value.trim());
+  bakeListLink.href = `/bake-list.html?${params}`;
+}
 
-    // Dates: convert MM/DD/YYYY → YYYY-MM-DD for correct chronological sort
-    if (sortField === 'Due Pickup Date' || sortField === 'Order Date') {
-      aVal = toISODate(String(aVal));
-      bVal = toISODate(String(bVal));
+// Sort key for a field: dates as YYYY-MM-DD (pickups with their time, so one
+// day's orders run in pickup order), times as minutes after midnight
+function sortValue(order, field) {
+  const raw = order[field] ?? '';
+  switch (field) {
+    case 'Due Pickup Date': {
+      const minutes = parseTimeOfDay(order['Due Pickup Time']);
+      return `${toISODate(String(raw))} ${String(minutes ?? 9999).padStart(4, '0')}`;
     }
+    case 'Order Date':
+      return toISODate(String(raw));
+    case 'Due Pickup Time':
+      return parseTimeOfDay(raw);
+    case 'Order Count':
+    case 'Total':
+    case '_RowNumber':
+      return parseFloat(String(raw).replace(/[^0-9.-]/g, '')) || 0;
+    default:
+      return String(raw);
+  }
+}
 
-    // Numeric fields
-    if (sortField === 'Order Count' || sortField === 'Total' || sortField === '_RowNumber') {
-      aVal = parseFloat(String(aVal).replace(/[^0-9.-]/g, '')) || 0;
-      bVal = parseFloat(String(bVal).replace(/[^0-9.-]/g, '')) || 0;
-      return sortAsc ? aVal - bVal : bVal - aVal;
-    }
+function sortOrders() {
+  filteredOrders.sort((a, b) => {
+    const aVal = sortValue(a, sortField);
+    const bVal = sortValue(b, sortField);
+
+    // No pickup time set: last, whichever way the list runs
+    if (aVal === null || bVal === null) return (aVal === null) - (bVal === null);
 
-    // String / date comparison
-    const cmp = String(aVal).localeCompare(String(bVal), undefined, { numeric: true, sensitivity: 'base' });
+    const cmp = typeof aVal === 'number'
+      ? aVal - bVal
+      : aVal.localeCompare(bVal, undefined, { numeric: true, sensitivity: 'base' });
     return sortAsc ? cmp : -cmp;
   });
 }
@@ -289,6 +525,7 @@ function countActiveFilters() {
   if (orderDateFrom.value)                   n++;
   if (orderDateTo.value)                     n++;
   if (statusSelect.value)                    n++;
+  if (printedSelect.value)                   n++;
   if (orderTypeSelect.value)                 n++;
   if (customerSearch.value.trim())           n++;
   return n;
@@ -307,6 +544,7 @@ function resetFilterValues() {
   orderDateFrom.value     = '';
   orderDateTo.value       = '';
   statusSelect.value      = '';
+  printedSelect.value     = '';
   orderTypeSelect.value   = '';
   customerSearch.value    = '';
 }
@@ -315,7 +553,7 @@ function clearFilters() {
   resetFilterValues();
   syncDateGroupExclusion();
   clearQuickActionActive();
-  applyFilters();
+  fetchOrders();
 }
 
 // ----------------------------------------------------------------
@@ -341,8 +579,15 @@ function syncDateGroupExclusion() {
   groupDateTo.classList.toggle('filter-group--disabled', disablePickup);
 }
 
+// Statuses on the loaded orders, in the server's order (orderStatuses) and
+// then any others A–Z
 function populateStatusFilter() {
-  const statuses = [...new Set(allOrders.map(o => o['Status']).filter(Boolean))].sort();
+  const current  = statusSelect.value;
+  const present  = new Set(allOrders.map(o => o['Status']).filter(Boolean));
+  const statuses = [
+    ...orderStatuses.filter(s => present.has(s)),
+    ...[...present].filter(s => !orderStatuses.includes(s)).sort(),
+  ];
   statusSelect.innerHTML = '<option value="">All Statuses</option>';
   statuses.forEach(s => {
     const opt = document.createElement('option');
@@ -350,6 +595,8 @@ function populateStatusFilter() {
     opt.textContent = s;
     statusSelect.appendChild(opt);
   });
+  // Keep the chosen filter across re-population (e.g. after a status change)
+  if (statuses.includes(current)) statusSelect.value = current;
 }
 
 function populateOrderTypeFilter() {
@@ -390,13 +637,13 @@ function renderOrders() {
   ordersList.innerHTML = '';
 
   filteredOrders.forEach(order => {
-    const id       = String(order._RowNumber);
+    const id       = orderKey(order);
     const isSelected = selectedIds.has(id);
     const status   = order['Status'] || '';
     const statusClass = getStatusClass(status);
 
     const card = document.createElement('div');
-    card.className = `order-card${isSelected ? ' selected' : ''}`;
+    card.className = `order-card${isSelected ? ' selected' : ''}${freshKeys.has(id) ? ' order-card--new' : ''}`;
     card.setAttribute('role', 'listitem');
     card.setAttribute('aria-label', `Order ${order['OrderID'] || id}, ${order['Order Name'] || ''}, ${status}`);
     card.setAttribute('aria-pressed', isSelected ? 'true' : 'false');
@@ -409,6 +656,7 @@ function renderOrders() {
           <div class="card-checkbox" aria-hidden="true">${isSelected ? '✓' : ''}</div>
           <span class="card-order-num">${escHtml(order['Order Name'] || order['OrderID'] || id)}</span>
           ${order['Order Count'] ? `<span class="card-order-count">${escHtml(order['Order Count'])}</span>` : ''}
+          ${currentView === 'all' ? `<span class="source-badge source-badge--${escHtml(String(order['Source']).toLowerCase())}">${escHtml(order['Source'])}</span>` : ''}
         </div>
         <span class="status-badge ${statusClass}">${escHtml(status)}</span>
       </div>
@@ -417,6 +665,7 @@ function renderOrders() {
         <span>${escHtml(formatDate(order['Due Pickup Date'] || order['Order Date']))}</span>
         ${order['Due Pickup Time'] ? `<span class="card-meta-sep">·</span><span>${escHtml(order['Due Pickup Time'])}</span>` : ''}
       </div>
+      ${buildPrintedBadge(order)}
       ${buildItemsSummary(order)}
     `;
 
@@ -459,13 +708,13 @@ function toggleSelect(id) {
 }
 
 function selectAll() {
-  const allSelected = filteredOrders.every(o => selectedIds.has(String(o._RowNumber)));
+  const allSelected = filteredOrders.every(o => selectedIds.has(orderKey(o)));
   if (allSelected) {
     // Deselect all in current filter
-    filteredOrders.forEach(o => selectedIds.delete(String(o._RowNumber)));
+    filteredOrders.forEach(o => selectedIds.delete(orderKey(o)));
     selectAllBtn.textContent = 'Select All';
   } else {
-    filteredOrders.forEach(o => selectedIds.add(String(o._RowNumber)));
+    filteredOrders.forEach(o => selectedIds.add(orderKey(o)));
     selectAllBtn.textContent = 'Deselect All';
   }
   renderOrders();
@@ -476,10 +725,14 @@ function updateActionBar() {
   const n = selectedIds.size;
   actionBarCount.innerHTML = `<strong>${n}</strong> selected`;
   printBtn.disabled = n === 0;
+  pdfBtn.disabled = n === 0;
+  bulkStatusSelect.disabled = n === 0;
+  bulkFulfillBtn.disabled = n === 0;
   printAllBtn.disabled = filteredOrders.length === 0;
+  exportBtn.disabled = filteredOrders.length === 0;
   // Update select-all button text
   if (filteredOrders.length > 0) {
-    const allSelected = filteredOrders.every(o => selectedIds.has(String(o._RowNumber)));
+    const allSelected = filteredOrders.every(o => selectedIds.has(orderKey(o)));
     selectAllBtn.textContent = allSelected ? 'Deselect All' : 'Select All';
   }
 }
@@ -488,10 +741,12 @@ function updateActionBar() {
 // Print
 // ----------------------------------------------------------------
 function printSelected() {
-  const ordersToprint = allOrders.filter(o => selectedIds.has(String(o._RowNumber)));
+  const ordersToprint = allOrders.filter(o => selectedIds.has(orderKey(o)));
   if (ordersToprint.length === 0) return;
 
-  printContainer.innerHTML = ordersToprint.map(renderOrderForPrint).join('');
+  const template = getTemplate();
+  printContainer.innerHTML = ordersToprint.map(o => renderOrderForPrint(o, template)).join('');
+  logPrints(ordersToprint);
 
   // Safari/iOS needs a small delay before window.print()
   setTimeout(() => {
@@ -501,180 +756,160 @@ function printSelected() {
 
 function printAll() {
   if (filteredOrders.length === 0) return;
-  printContainer.innerHTML = filteredOrders.map(renderOrderForPrint).join('');
+  const template = getTemplate();
+  printContainer.innerHTML = filteredOrders.map(o => renderOrderForPrint(o, template)).join('');
+  logPrints(filteredOrders);
   setTimeout(() => {
     window.print();
   }, 100);
 }
 
+// Same pages rendered to PDF on the server (/api/print) — consistent on phones
+// and easy to email or archive
+async function downloadSelectedPdf() {
+  const orders = allOrders.filter(o => selectedIds.has(orderKey(o)));
+  if (orders.length === 0) return;
+
+  // A tab opened now (inside the click) isn't blocked as a popup
+  const win = window.open('', '_blank');
+  pdfBtn.disabled = true;
+  try {
+    const res = await fetch('/api/print', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        ids: orders.map(o => String(o['OrderID'])),
+        device: deviceLabel(),
+      }),
+    });
+    if (!res.ok) {
+      const data = await res.json().catch(() => null);
+      throw new Error(data?.error || `Server error ${res.status}`);
+    }
+    const url = URL.createObjectURL(await res.blob());
+    if (win) win.location = url; else window.location = url;
+    // The server logged the PDF; pick up the new counts
+    if (await loadPrintLog(orders)) applyFilters();
+  } catch (err) {
+    if (win) win.close();
+    alert(`Could not create PDF: ${err.message}`);
+  } finally {
+    pdfBtn.disabled = selectedIds.size === 0;
+  }
+}
+
 function getTemplate() {
   return localStorage.getItem('orderPrintTemplate') || DEFAULT_TEMPLATE;
 }
 
-function renderOrderForPrint(order) {
-  let html = getTemplate();
-
-  // Handle conditional blocks: {{#Field}}...{{/Field}}
-  html = html.replace(/\{\{#([^}]+)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (_, key, content) => {
-    const val = order[key.trim()];
-    return (val && String(val).trim()) ? content : '';
-  });
-
-  // Replace placeholders
-  html = html.replace(/\{\{([^}]+)\}\}/g, (_, key) => {
-    const k = key.trim();
-    if (k === 'LINE_ITEMS_TABLE') return buildLineItemsTable(order);
-    if (k === 'PRINT_DATE')       return new Date().toLocaleDateString();
-    return escHtml(String(order[k] ?? ''));
-  });
+// ----------------------------------------------------------------
+// Print Log — "Printed 2× · last 6:42 AM" on cards and in the modal
+// ----------------------------------------------------------------
+// Which template a print used: 'default', the shared version ('v7'), or
+// 'custom' when this device couldn't reach the shared copy
+function templateLabel() {
+  if (getTemplate() === DEFAULT_TEMPLATE) return 'default';
+  const version = storeDocs.printTemplate?.version;
+  return version ? `v${version}` : 'custom';
+}
 
-  if (currentView === 'delivery') {
-    return renderDeliveryForPrint(order, html);
+// Tells devices apart when staff share a login; set once per browser
+function deviceLabel() {
+  let label = localStorage.getItem('printDevice');
+  if (!label) {
+    label = `Device ${Math.random().toString(36).slice(2, 6).toUpperCase()}`;
+    localStorage.setItem('printDevice', label);
   }
-  return `<div class="print-order">${html}</div>`;
-}
-
-function renderDeliveryForPrint(order, templateHtml) {
-  const name  = escHtml(order['Order Name'] || order['Customer Name'] || '');
-  const addr  = escHtml(order['Delivery Address'] || order['Location'] || '');
-  const phone = escHtml(order['PhoneNumber'] || '');
-  const orderId = escHtml(order['OrderID'] || '');
-  const dueDate = escHtml(formatDate(order['Due Pickup Date'] || ''));
-  const dueTime = escHtml(order['Due Pickup Time'] || '');
-
-  const orderCount = escHtml(order['Order Count'] || '');
-
-  // Page 1: Packing Slip (unchanged)
-  const packingSlip = `<div class="print-order">
-    <div class="delivery-heading">DELIVERY</div>
-    <div class="slip-half">
-      <div class="slip-title">Packing Slip</div>
-      <div class="slip-order-count-banner"><strong>Order Count: ${orderCount}</strong></div>
-      <div class="slip-header">
-        <div>
-          <div class="slip-order-id">${orderId}</div>
-          <h2 class="slip-customer">${name}</h2>
-        </div>
-        <span class="slip-count">${orderCount}</span>
-      </div>
-      <div class="slip-meta">
-        <div><strong>Delivery Date:</strong> ${dueDate}</div>
-        <div><strong>Delivery Time:</strong> ${dueTime}</div>
-        <div><strong>Number:</strong> ${phone}</div>
-      </div>
-      ${buildLineItemsTable(order)}
-    </div>
-  </div>`;
-
-  // Page 2: Driver's Copy — redesigned for quick scanning
-  const driverNotes = buildDriverNotes(order);
-  const driverItems = buildDriverItemsTable(order);
-  const total = order['Total'] || '';
-
-  const driversCopy = `<div class="print-order driver-page">
-    <div class="driver-id-bar">
-      <span class="driver-id-label">DRIVER'S COPY</span>
-      <span class="driver-id-value">#${orderId}</span>
-    </div>
-    <div class="driver-address-block">
-      <div class="driver-name">${name}</div>
-      ${addr ? `<div class="driver-address">${addr}</div>` : ''}
-      <div class="driver-meta-row">
-        <span>${dueDate}${dueTime ? ' &mdash; ' + dueTime : ''}</span>
-        ${phone ? `<span>&#9742; ${phone}</span>` : ''}
-      </div>
-    </div>
-    ${driverNotes}
-    ${driverItems}
-    ${total ? `<div class="driver-total">Total: ${escHtml(total)}</div>` : ''}
-    <div class="driver-signatures">
-      <div class="driver-sig">
-        <div class="driver-sig-line"></div>
-        <div class="driver-sig-label">Packed by</div>
-      </div>
-      <div class="driver-sig">
-        <div class="driver-sig-line"></div>
-        <div class="driver-sig-label">Driver</div>
-      </div>
-    </div>
-  </div>`;
-
-  return packingSlip + driversCopy;
+  return label;
 }
 
-function buildDeliveryFooter(order) {
-  const rows = [];
-
-  // Delivery attributes (date, time, etc.) — address/phone already in top box
-  const attrs = order['Delivery Attributes'] || [];
-  attrs.forEach(a => {
-    if (a.value) {
-      rows.push(`<div><strong>${escHtml(a.name)}:</strong> ${escHtml(a.value)}</div>`);
+// Split keys into ?keys= lists that stay well under the server's header limit
+function printLogBatches(keys) {
+  const batches = [];
+  let batch = [];
+  let length = 0;
+  keys.forEach(key => {
+    const size = encodeURIComponent(key).length + 3; // plus an encoded comma
+    if (batch.length && length + size > PRINT_LOG_QUERY_MAX) {
+      batches.push(batch);
+      batch = [];
+      length = 0;
     }
+    batch.push(key);
+    length += size;
   });
-
-  if (order['Order Notes']) {
-    rows.push(`<div class="delivery-footer-notes"><strong>Delivery Notes:</strong> ${escHtml(order['Order Notes'])}</div>`);
-  }
-
-  if (rows.length === 0) return '';
-  return `<div class="delivery-footer">${rows.join('')}</div>`;
+  if (batch.length) batches.push(batch);
+  return batches;
 }
 
-function buildDriverNotes(order) {
-  const lines = [];
-
-  // Delivery attributes (skip address/phone — already shown above)
-  const skipKeys = new Set(['delivery address', 'address', 'phone', 'phonenumber']);
-  const attrs = order['Delivery Attributes'] || [];
-  attrs.forEach(a => {
-    if (a.value && !skipKeys.has(a.name.toLowerCase()) && !a.name.toLowerCase().startsWith('easyroutes')) {
-      lines.push(`<strong>${escHtml(a.name)}:</strong> ${escHtml(a.value)}`);
+// Fetch counts for these orders; true if anything changed
+async function loadPrintLog(orders) {
+  if (orders.length === 0) return false;
+  try {
+    const keys = [...new Set(orders.map(printKey))];
+    const summary = {};
+    for (const batch of printLogBatches(keys)) {
+      const res = await fetch(`/api/print-log?keys=${encodeURIComponent(batch.join(','))}`);
+      if (!res.ok) return false;
+      Object.assign(summary, (await res.json()).summary);
     }
-  });
-
-  if (order['Order Notes']) {
-    lines.push(`<strong>Delivery Notes:</strong> ${escHtml(order['Order Notes'])}`);
+    let changed = false;
+    keys.forEach(key => {
+      const next = summary[key];
+      if (JSON.stringify(next) === JSON.stringify(printLog[key])) return;
+      if (next) printLog[key] = next; else delete printLog[key];
+      changed = true;
+    });
+    return changed;
+  } catch (err) {
+    console.warn('Print log unavailable:', err.message);
+    return false;
   }
+}
 
-  if (lines.length === 0) return '';
-  return `<div class="driver-notes-callout">${lines.join('<br>')}</div>`;
+async function refreshPrintLog() {
+  if (document.hidden) return;
+  if (await loadPrintLog(allOrders)) applyFilters();
 }
 
-function buildDriverItemsTable(order) {
-  const items = order['Line Items'];
-  if (!items || !Array.isArray(items) || items.length === 0) {
-    return '<p style="color:#666;font-style:italic;font-size:10pt;">No line items.</p>';
+// Record a print and show the new counts right away
+async function logPrints(orders) {
+  try {
+    const res = await fetch('/api/print-log', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        orders: orders.map(o => ({ key: printKey(o), order: o['Order Name'] || o['OrderID'] || null })),
+        template: templateLabel(),
+        device: deviceLabel(),
+      }),
+    });
+    if (!res.ok) throw new Error(`Server error ${res.status}`);
+    const { summary } = await res.json();
+    Object.assign(printLog, summary);
+    applyFilters();
+  } catch (err) {
+    console.warn('Could not record print:', err.message);
   }
+}
 
-  const rows = items.map(item => {
-    const product = escHtml(String(item['Product Description'] || ''));
-    const subLines = [
-      item['Writing Notes']   ? `<div class="slip-sub">Writing: ${escHtml(item['Writing Notes'])}</div>`   : '',
-      item['Color']           ? `<div class="slip-sub">Color: ${escHtml(item['Color'])}</div>`             : '',
-      item['Add-Ons']         ? `<div class="slip-sub">Add-Ons: ${escHtml(item['Add-Ons'])}</div>`         : '',
-      item['Line Item Notes'] ? `<div class="slip-sub">Notes: ${escHtml(item['Line Item Notes'])}</div>`   : '',
-    ].join('');
-    const qty = escHtml(String(item['CakeQty'] || ''));
-
-    return `<tr>
-      <td class="driver-check-cell">&#9744;</td>
-      <td class="driver-detail-cell">${product}${subLines}</td>
-      <td class="driver-qty-cell">${qty}</td>
-    </tr>`;
-  }).join('');
+function isPrinted(order) {
+  return !!printLog[printKey(order)];
+}
+
+function formatPrintedAt(iso) {
+  const d = new Date(iso);
+  const timeZone = getBusinessTimeZone();
+  const time = d.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZone });
+  if (isoDateInZone(d) === todayLocal()) return time;
+  return `${d.toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone })}, ${time}`;
+}
 
-  return `<div class="driver-items-heading">ORDER ITEMS (${items.length})</div>
-  <table class="driver-items-table">
-    <thead>
-      <tr>
-        <th class="driver-check-cell">&#10003;</th>
-        <th class="driver-detail-cell">Item</th>
-        <th class="driver-qty-cell">Qty</th>
-      </tr>
-    </thead>
-    <tbody>${rows}</tbody>
-  </table>`;
+function buildPrintedBadge(order) {
+  const entry = printLog[printKey(order)];
+  if (!entry) return '';
+  const who = [entry.lastBy, entry.lastDevice].filter(Boolean).join(' on ');
+  return `<span class="printed-badge"${who ? ` title="Last printed by ${escHtml(who)}"` : ''}>Printed ${entry.count}× · last ${escHtml(formatPrintedAt(entry.lastAt))}</span>`;
 }
 
 function buildItemsSummary(order) {
@@ -684,7 +919,7 @@ function buildItemsSummary(order) {
   const rows = items.map(item => {
     const product = item['Product Description'] || '';
     const qty     = item['CakeQty'] || '';
-    const notes   = [item['Writing Notes'], item['Color'], item['Add-Ons'], item['Line Item Notes']]
+    const notes   = [item['Flavor'], item['Writing Notes'], item['Color'], item['Add-Ons'], item['Line Item Notes']]
                       .filter(Boolean).join(' · ');
     return `<div class="card-item-row">
       <span class="card-item-name">
@@ -698,40 +933,233 @@ function buildItemsSummary(order) {
   return `<div class="card-items">${rows}</div>`;
 }
 
-function buildLineItemsTable(order) {
-  const items = order['Line Items'];
-  if (!items || !Array.isArray(items) || items.length === 0) {
-    return '<p style="color:#666;font-style:italic;font-size:10pt;">No line items.</p>';
+// ----------------------------------------------------------------
+// Export — the listed orders (current filters and sort) as CSV or Excel
+// ----------------------------------------------------------------
+function exportLayout() {
+  return document.querySelector('input[name="exportLayout"]:checked').value; // 'orders' | 'items'
+}
+
+function exportFormat() {
+  return document.querySelector('input[name="exportFormat"]:checked').value; // 'csv' | 'xlsx'
+}
+
+function exportColumnsFor(layout) {
+  const skip = layout === 'items' ? 'summary' : 'item';
+  return EXPORT_COLUMNS.filter(c => c.level !== skip);
+}
+
+// Unticked columns are remembered per browser; everything else is on
+function loadExportPrefs() {
+  try {
+    return JSON.parse(localStorage.getItem('exportPrefs')) || {};
+  } catch {
+    return {};
   }
+}
 
-  const rows = items.map(item => {
-    // Build the detail cell: product + optional sub-lines (writing, color, add-ons, notes)
-    const product = escHtml(String(item['Product Description'] || ''));
-    const subLines = [
-      item['Writing Notes']  ? `<div class="slip-sub">Writing: ${escHtml(item['Writing Notes'])}</div>`   : '',
-      item['Color']          ? `<div class="slip-sub">Color: ${escHtml(item['Color'])}</div>`             : '',
-      item['Add-Ons']        ? `<div class="slip-sub">Add-Ons: ${escHtml(item['Add-Ons'])}</div>`         : '',
-      item['Line Item Notes']? `<div class="slip-sub">Notes: ${escHtml(item['Line Item Notes'])}</div>`   : '',
-    ].join('');
-    const qty = escHtml(String(item['CakeQty'] || ''));
-
-    return `<tr>
-      <td class="slip-check-cell"></td>
-      <td class="slip-detail-cell">${product}${subLines}</td>
-      <td class="slip-qty-cell">${qty}</td>
-    </tr>`;
-  }).join('');
+function saveExportPrefs() {
+  const unticked = [...exportColumnsEl.querySelectorAll('input:not(:checked)')].map(box => box.value);
+  const shown = [...exportColumnsEl.querySelectorAll('input')].map(box => box.value);
+  // Columns not shown in this layout keep their saved state
+  const hidden = (loadExportPrefs().unticked || []).filter(id => !shown.includes(id));
+  localStorage.setItem('exportPrefs', JSON.stringify({
+    layout: exportLayout(),
+    format: exportFormat(),
+    unticked: [...hidden, ...unticked],
+  }));
+}
+
+function renderExportColumns() {
+  const unticked = new Set(loadExportPrefs().unticked || []);
+  exportColumnsEl.innerHTML = exportColumnsFor(exportLayout()).map(c => `
+    <label class="export-choice">
+      <input type="checkbox" value="${escHtml(c.id)}"${unticked.has(c.id) ? '' : ' checked'}>
+      ${escHtml(c.label)}
+    </label>`).join('');
+  updateExportNote();
+}
+
+function updateExportNote() {
+  const items = filteredOrders.reduce((n, o) => n + Math.max((o['Line Items'] || []).length, 1), 0);
+  const rows  = exportLayout() === 'items' ? items : filteredOrders.length;
+  const none  = !exportColumnsEl.querySelector('input:checked');
+  exportNote.textContent = none
+    ? 'Pick at least one column.'
+    : `${rows} row${rows !== 1 ? 's' : ''}, in the order shown on the page.`;
+  exportDownloadBtn.disabled = none || rows === 0;
+}
+
+function openExportModal() {
+  if (filteredOrders.length === 0) return;
+  const prefs = loadExportPrefs();
+  ['Layout', 'Format'].forEach(name => {
+    const saved = document.querySelector(`input[name="export${name}"][value="${prefs[name.toLowerCase()]}"]`);
+    if (saved) saved.checked = true;
+  });
+  exportCount.textContent = `${filteredOrders.length} order${filteredOrders.length !== 1 ? 's' : ''}`;
+  renderExportColumns();
+  exportModalBackdrop.hidden = false;
+  exportDownloadBtn.focus();
+}
+
+function closeExportModal() {
+  exportModalBackdrop.hidden = true;
+  exportBtn.focus();
+}
+
+// Header row + one row per order or per line item; cells are strings,
+// numbers or (for Excel) Dates
+function buildExportRows(orders, layout, columns, { dates = false } = {}) {
+  const cell = (col, order, item) => {
+    const source = col.level === 'item' ? item || {} : order;
+    const raw = col.value ? col.value(order) : source[col.id];
+    return exportCell(raw, col.type, dates);
+  };
+
+  const rows = [columns.map(c => c.label)];
+  orders.forEach(order => {
+    if (layout !== 'items') {
+      rows.push(columns.map(c => cell(c, order)));
+      return;
+    }
+    // An order with no line items still gets its row
+    const items = order['Line Items'] || [];
+    (items.length ? items : [null]).forEach(item => rows.push(columns.map(c => cell(c, order, item))));
+  });
+  return rows;
+}
+
+function exportCell(raw, type, dates) {
+  const text = raw === null || raw === undefined ? '' : String(raw).trim();
+  if (!text) return '';
+  if (type === 'number' || type === 'money') {
+    const n = parseFloat(text.replace(/[^0-9.-]/g, ''));
+    return Number.isFinite(n) ? n : text;
+  }
+  if (type === 'date') {
+    const iso = toISODate(text);
+    const m = iso.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (!m) return text;
+    return dates ? new Date(+m[1], +m[2] - 1, +m[3]) : iso;
+  }
+  return text;
+}
+
+function itemsText(order) {
+  return (order['Line Items'] || [])
+    .map(item => `${item['CakeQty'] || 1}× ${item['Product Description'] || ''}`.trim())
+    .join('; ');
+}
+
+// Quote fields that need it; a leading = + - @, tab or CR would run as a
+// formula when the file is opened, so customer-typed text gets a ' in front
+function toCsv(rows) {
+  const field = value => {
+    if (typeof value === 'number') return String(value);
+    let text = String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  // BOM so Excel reads it as UTF-8 (×, accents, emoji)
+  return '\uFEFF' + rows.map(row => row.map(field).join(',')).join('\r\n') + '\r\n';
+}
+
+let sheetJsLoading = null;
+function loadSheetJs() {
+  if (window.XLSX) return Promise.resolve(window.XLSX);
+  if (!sheetJsLoading) {
+    sheetJsLoading = new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = SHEETJS_URL;
+      script.onload  = () => resolve(window.XLSX);
+      script.onerror = () => {
+        sheetJsLoading = null;
+        script.remove();
+        reject(new Error('Could not load the Excel library — check the connection or export CSV'));
+      };
+      document.head.appendChild(script);
+    });
+  }
+  return sheetJsLoading;
+}
 
-  return `<table class="slip-items-table">
-    <thead>
-      <tr>
-        <th class="slip-check-cell"></th>
-        <th class="slip-detail-cell">Order Details</th>
-        <th class="slip-qty-cell">Qty</th>
-      </tr>
-    </thead>
-    <tbody>${rows}</tbody>
-  </table>`;
+function toWorkbook(XLSX, rows, columns) {
+  const sheet = XLSX.utils.aoa_to_sheet(rows, { cellDates: true, dateNF: 'yyyy-mm-dd' });
+  sheet['!cols'] = columns.map((c, i) => ({
+    wch: Math.min(40, Math.max(...rows.map(r => String(r[i] instanceof Date ? '0000-00-00' : r[i]).length), 8)),
+  }));
+  columns.forEach((c, i) => {
+    if (c.type !== 'money') return;
+    for (let r = 1; r < rows.length; r++) {
+      const ref = sheet[XLSX.utils.encode_cell({ r, c: i })];
+      if (ref && ref.t === 'n') ref.z = '$#,##0.00';
+    }
+  });
+  const book = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(book, sheet, 'Orders');
+  return book;
+}
+
+async function downloadExport() {
+  const layout  = exportLayout();
+  const format  = exportFormat();
+  const checked = new Set([...exportColumnsEl.querySelectorAll('input:checked')].map(box => box.value));
+  const columns = exportColumnsFor(layout).filter(c => checked.has(c.id));
+  if (columns.length === 0 || filteredOrders.length === 0) return;
+  saveExportPrefs();
+
+  const name = `${currentView}-${layout === 'items' ? 'line-items' : 'orders'}-${todayLocal()}`;
+  exportDownloadBtn.disabled = true;
+  try {
+    if (format === 'xlsx') {
+      const XLSX = await loadSheetJs();
+      const rows = buildExportRows(filteredOrders, layout, columns, { dates: true });
+      XLSX.writeFile(toWorkbook(XLSX, rows, columns), `${name}.xlsx`, { compression: true });
+    } else {
+      const rows = buildExportRows(filteredOrders, layout, columns);
+      downloadBlob(new Blob([toCsv(rows)], { type: 'text/csv;charset=utf-8' }), `${name}.csv`);
+    }
+    closeExportModal();
+  } catch (err) {
+    alert(`Could not export: ${err.message}`);
+  } finally {
+    updateExportNote();
+  }
+}
+
+function downloadBlob(blob, filename) {
+  const url  = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function bindExportEvents() {
+  exportBtn.addEventListener('click', openExportModal);
+  exportCloseBtn.addEventListener('click', closeExportModal);
+  exportCancelBtn.addEventListener('click', closeExportModal);
+  exportDownloadBtn.addEventListener('click', downloadExport);
+  exportModalBackdrop.addEventListener('click', e => {
+    if (e.target === exportModalBackdrop) closeExportModal();
+  });
+  document.addEventListener('keydown', e => {
+    if (e.key === 'Escape' && !exportModalBackdrop.hidden) closeExportModal();
+  });
+  document.querySelectorAll('input[name="exportLayout"]').forEach(radio => {
+    radio.addEventListener('change', () => {
+      saveExportPrefs();
+      renderExportColumns();
+    });
+  });
+  exportColumnsEl.addEventListener('change', () => {
+    saveExportPrefs();
+    updateExportNote();
+  });
 }
 
 // ----------------------------------------------------------------
@@ -744,29 +1172,31 @@ function bindFilterEvents() {
     filterPanel.hidden = expanded;
   });
 
-  // Live filtering — also enforce mutual exclusion on date groups
+  // Date changes re-fetch (the server scopes by date) — also enforce mutual
+  // exclusion on date groups
   const onPickupChange = () => {
     clearQuickActionActive();
     syncDateGroupExclusion();
-    if (allOrders.length) applyFilters();
+    fetchOrders();
   };
   const onOrderDateChange = () => {
     clearQuickActionActive();
     syncDateGroupExclusion();
-    if (allOrders.length) applyFilters();
+    fetchOrders();
   };
   dateFrom.addEventListener('change',      onPickupChange);
   dateTo.addEventListener('change',        onPickupChange);
   orderDateFrom.addEventListener('change', onOrderDateChange);
   orderDateTo.addEventListener('change',   onOrderDateChange);
   statusSelect.addEventListener('change',    () => { if (allOrders.length) applyFilters(); });
+  printedSelect.addEventListener('change',   () => { if (allOrders.length) applyFilters(); });
   orderTypeSelect.addEventListener('change', () => {
     if (allOrders.length) applyFilters();
   });
   customerSearch.addEventListener('input',   () => { if (allOrders.length) applyFilters(); });
 
   clearFiltersBtn.addEventListener('click', clearFilters);
-  searchBtn.addEventListener('click', fetchOrders);
+  searchBtn.addEventListener('click', () => fetchOrders({ refresh: true }));
 
   // Sort controls
   sortFieldEl.addEventListener('change', () => {
@@ -784,7 +1214,7 @@ function bindFilterEvents() {
   // Allow Enter key in any filter input to trigger fetch/filter
   [dateFrom, dateTo, orderDateFrom, orderDateTo, customerSearch].forEach(el => {
     el.addEventListener('keydown', e => {
-      if (e.key === 'Enter') fetchOrders();
+      if (e.key === 'Enter') fetchOrders({ refresh: true });
     });
   });
 }
@@ -851,14 +1281,122 @@ function clearQuickActionActive() {
 function bindActionBarEvents() {
   printBtn.addEventListener('click', printSelected);
   printAllBtn.addEventListener('click', printAll);
+  pdfBtn.addEventListener('click', downloadSelectedPdf);
   selectAllBtn.addEventListener('click', selectAll);
+
+  orderStatuses.forEach(s => {
+    const opt = document.createElement('option');
+    opt.value = s;
+    opt.textContent = s;
+    bulkStatusSelect.appendChild(opt);
+  });
+  bulkStatusSelect.addEventListener('change', bulkSetStatus);
+
+  bulkFulfillBtn.addEventListener('click', () => {
+    const orders = allOrders.filter(o => selectedIds.has(orderKey(o)) && o['ShopifyID']);
+    if (orders.length === 0) return;
+    const notify = bulkNotifyCustomer.checked;
+    if (!confirm(`Mark ${orders.length} order${orders.length !== 1 ? 's' : ''} fulfilled in Shopify?` +
+                 (notify ? '\nCustomers will be emailed.' : ''))) return;
+    fulfillShopifyOrders(orders, notify);
+  });
+  bindNotifyPreference();
+}
+
+// "Notify customer" is one remembered preference shared by modal + action bar
+function bindNotifyPreference() {
+  const saved = localStorage.getItem('fulfillNotifyCustomer') === 'true';
+  [bulkNotifyCustomer, modalNotifyCustomer].forEach(box => {
+    box.checked = saved;
+    box.addEventListener('change', () => {
+      localStorage.setItem('fulfillNotifyCustomer', String(box.checked));
+      bulkNotifyCustomer.checked  = box.checked;
+      modalNotifyCustomer.checked = box.checked;
+    });
+  });
+}
+
+// ----------------------------------------------------------------
+// Shopify Fulfillment (Delivery view)
+// ----------------------------------------------------------------
+async function fulfillShopifyOrders(orders, notifyCustomer) {
+  bulkFulfillBtn.disabled = true;
+  modalFulfillBtn.disabled = true;
+  try {
+    const res = await fetch('/api/shopify-fulfillments', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ids: orders.map(o => o['ShopifyID']), notifyCustomer }),
+    });
+    const data = await res.json();
+    if (!res.ok || data?.error) throw new Error(data?.error || `Server error ${res.status}`);
+
+    const failures = [];
+    data.results.forEach(r => {
+      const order = orders.find(o => String(o['ShopifyID']) === String(r.id));
+      if (!order) return;
+      if (r.status === 'error') failures.push(`${order['OrderID']}: ${r.error}`);
+      else if (order['Source'] === 'Shopify') order['Status'] = 'fulfilled';
+    });
+
+    populateStatusFilter();
+    applyFilters();
+    if (modalCurrentId) openOrderModal(modalCurrentId);
+    if (failures.length) alert(`Some orders could not be fulfilled:\n${failures.join('\n')}`);
+  } catch (err) {
+    alert(`Could not fulfill orders: ${err.message}`);
+  } finally {
+    updateActionBar();
+    modalFulfillBtn.disabled = false;
+  }
+}
+
+// ----------------------------------------------------------------
+// Status Write-back (AppSheet Edit via PATCH)
+// ----------------------------------------------------------------
+async function bulkSetStatus() {
+  const status = bulkStatusSelect.value;
+  bulkStatusSelect.value = '';
+  const orders = allOrders.filter(o => selectedIds.has(orderKey(o)) && o['Source'] !== 'Shopify');
+  if (!status || orders.length === 0) return;
+  if (!confirm(`Set ${orders.length} order${orders.length !== 1 ? 's' : ''} to "${status}"?`)) return;
+
+  bulkStatusSelect.disabled = true;
+  try {
+    const res = await fetch('/api/orders', {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ids: orders.map(o => o['OrderID']), status }),
+    });
+    const data = await res.json();
+    if (!res.ok || data?.error) throw new Error(data?.error || `Server error ${res.status}`);
+
+    orders.forEach(o => { o['Status'] = status; });
+    populateStatusFilter();
+    applyFilters();
+  } catch (err) {
+    alert(`Could not update status: ${err.message}`);
+  } finally {
+    updateActionBar();
+  }
+}
+
+async function setOrderStatus(order, status) {
+  const res = await fetch(`/api/orders/${encodeURIComponent(order['OrderID'])}`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ Status: status }),
+  });
+  const data = await res.json();
+  if (!res.ok || data?.error) throw new Error(data?.error || `Server error ${res.status}`);
+  order['Status'] = data['Status'] || status;
 }
 
 // ----------------------------------------------------------------
 // Order Detail Modal
 // ----------------------------------------------------------------
 function openOrderModal(id) {
-  const order = allOrders.find(o => String(o._RowNumber) === String(id));
+  const order = allOrders.find(o => orderKey(o) === String(id));
   if (!order) return;
   modalCurrentId = id;
 
@@ -869,17 +1407,22 @@ function openOrderModal(id) {
   // Meta fields grid
   const status      = order['Status'] || '';
   const statusClass = getStatusClass(status);
+  const statusOptions = [...new Set([...orderStatuses, status].filter(Boolean))]
+    .map(s => `<option value="${escHtml(s)}"${s === status ? ' selected' : ''}>${escHtml(s)}</option>`)
+    .join('');
   modalMeta.innerHTML = `
     <div class="modal-status-row">
       <span class="status-badge ${statusClass}">${escHtml(status)}</span>
+      ${order['Source'] !== 'Shopify' ? `<select class="modal-status-select" id="modalStatusSelect" aria-label="Change status">${statusOptions}</select>` : ''}
+      ${buildPrintedBadge(order)}
     </div>
     <div class="modal-field-grid">
       <div class="modal-field">
-        <span class="modal-field-label">${currentView === 'delivery' ? 'Delivery Date' : 'Pickup Date'}</span>
+        <span class="modal-field-label">${isDeliveryOrder(order) ? 'Delivery Date' : 'Pickup Date'}</span>
         <span class="modal-field-value">${escHtml(formatDate(order['Due Pickup Date'] || ''))}</span>
       </div>
       <div class="modal-field">
-        <span class="modal-field-label">${currentView === 'delivery' ? 'Delivery Time' : 'Pickup Time'}</span>
+        <span class="modal-field-label">${isDeliveryOrder(order) ? 'Delivery Time' : 'Pickup Time'}</span>
         <span class="modal-field-value">${escHtml(order['Due Pickup Time'] || '—')}</span>
       </div>
       <div class="modal-field">
@@ -908,6 +1451,23 @@ function openOrderModal(id) {
       </div>
     </div>`;
 
+  const modalStatusSelect = document.getElementById('modalStatusSelect');
+  if (modalStatusSelect) {
+    modalStatusSelect.addEventListener('change', async () => {
+      modalStatusSelect.disabled = true;
+      try {
+        await setOrderStatus(order, modalStatusSelect.value);
+        populateStatusFilter();
+        applyFilters();
+        openOrderModal(id);
+      } catch (err) {
+        alert(`Could not update status: ${err.message}`);
+        modalStatusSelect.value = status;
+        modalStatusSelect.disabled = false;
+      }
+    });
+  }
+
   // Line items
   const items = order['Line Items'] || [];
   if (items.length > 0) {
@@ -945,6 +1505,11 @@ function openOrderModal(id) {
     modalNotes.hidden = true;
   }
 
+  // Shopify fulfillment controls
+  // Merged AppSheet rows keep a ShopifyID so the web order can still be closed out
+  const canFulfill = !!order['ShopifyID'] && order['Status'] !== 'fulfilled';
+  modalFulfillRow.hidden = !canFulfill;
+
   // Select button state
   updateModalSelectBtn();
 
@@ -952,6 +1517,29 @@ function openOrderModal(id) {
   modalCloseBtn.focus();
 }
 
+// Fetch one order via /api/orders/:id and open it, even if it falls outside
+// the current filters (so it can be reprinted from a link)
+async function openLinkedOrder(id) {
+  try {
+    const res = await fetch(`/api/orders/${encodeURIComponent(id)}`);
+    const order = await res.json();
+    if (!res.ok || order?.error) throw new Error(order?.error || `Server error ${res.status}`);
+
+    let existing = allOrders.find(o => String(o['OrderID']) === String(order['OrderID']));
+    if (!existing) {
+      // Shopify lookups aren't numbered like the list, so give it a free row number
+      if (order['Source'] === 'Shopify') {
+        order._RowNumber = allOrders.reduce((max, o) => Math.max(max, Number(o._RowNumber) || 0), 0) + 1;
+      }
+      allOrders.push(order);
+      existing = order;
+    }
+    openOrderModal(orderKey(existing));
+  } catch (err) {
+    alert(`Could not open order ${id}: ${err.message}`);
+  }
+}
+
 function updateModalSelectBtn() {
   if (!modalCurrentId) return;
   const isSelected = selectedIds.has(modalCurrentId);
@@ -982,11 +1570,17 @@ function bindModalEvents() {
     // Also refresh the card in the list
     renderOrders();
   });
+  modalFulfillBtn.addEventListener('click', () => {
+    if (!modalCurrentId) return;
+    const order = allOrders.find(o => orderKey(o) === modalCurrentId);
+    if (order) fulfillShopifyOrders([order], modalNotifyCustomer.checked);
+  });
   modalPrintBtn.addEventListener('click', () => {
     if (!modalCurrentId) return;
-    const order = allOrders.find(o => String(o._RowNumber) === String(modalCurrentId));
+    const order = allOrders.find(o => orderKey(o) === modalCurrentId);
     if (!order) return;
-    printContainer.innerHTML = renderOrderForPrint(order);
+    printContainer.innerHTML = renderOrderForPrint(order, getTemplate());
+    logPrints([order]);
     setTimeout(() => window.print(), 100);
   });
 }
@@ -1014,69 +1608,96 @@ function showLoading() {
   ordersCount.textContent = 'Loading…';
 }
 
+// "Data as of 7:42 AM" under the order count; STALE means the server is
+// refreshing in the background and a later fetch will have newer data
+function updateDataAsOf(asOf, cacheState) {
+  const d = asOf ? new Date(asOf) : null;
+  if (!d || isNaN(d.getTime())) {
+    dataAsOf.hidden = true;
+    return;
+  }
+  const time  = d.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZone: getBusinessTimeZone() });
+  const stale = cacheState === 'STALE';
+  dataAsOf.textContent = `Data as of ${time}${stale ? ' · updating…' : ''}`;
+  dataAsOf.classList.toggle('data-as-of--stale', stale);
+  dataAsOf.hidden = false;
+}
+
 function hideLoading() {
   searchBtn.disabled = false;
   searchBtn.textContent = '📋 Get Orders';
 }
 
-function showError(msg) {
+// What to tell staff for each error code from the API (see lib/errors.js)
+const ERROR_HELP = {
+  auth: {
+    title: 'AppSheet refused our access key',
+    hint:  'Ask a manager to check APPSHEET_APP_ID and APPSHEET_API_KEY, and that the API is enabled for the app in AppSheet.',
+  },
+  quota: {
+    title: 'AppSheet is rate-limiting us',
+    hint:  'Too many requests in a short time. Wait a minute, then tap Retry.',
+  },
+  not_found: {
+    title: 'AppSheet app or table not found',
+    hint:  'Ask a manager to check the app id and table names in the server settings.',
+  },
+  upstream_down: {
+    title: 'AppSheet is not responding',
+    hint:  'This is usually temporary. Wait a minute, then tap Retry.',
+  },
+  upstream: {
+    title: 'AppSheet rejected the request',
+    hint:  'Try clearing the filters. If it keeps happening, tell a manager.',
+  },
+};
+
+// err: Error with optional code/retryAfter from the API's { error, code } body
+function showError(err) {
+  const help = ERROR_HELP[err.code] || { title: 'Failed to load orders', hint: '' };
+  const wait = err.retryAfter ? ` (try again in about ${err.retryAfter}s)` : '';
   ordersList.innerHTML = `
     <div class="state-msg">
       <span class="icon" aria-hidden="true">⚠️</span>
-      <p><strong>Failed to load orders</strong></p>
-      <p style="font-size:0.875rem;margin-top:8px;">${escHtml(msg)}</p>
-      <button onclick="fetchOrders()" style="margin-top:16px;padding:10px 20px;background:#1a73e8;color:#fff;border:none;border-radius:20px;font-size:0.9rem;cursor:pointer;">
+      <p><strong>${escHtml(help.title)}</strong></p>
+      ${help.hint ? `<p style="margin-top:8px;">${escHtml(help.hint + wait)}</p>` : ''}
+      <p style="font-size:0.875rem;margin-top:8px;color:var(--color-text-secondary);">${escHtml(err.message)}</p>
+      <button onclick="fetchOrders({ refresh: true })" style="margin-top:16px;padding:10px 20px;background:#1a73e8;color:#fff;border:none;border-radius:20px;font-size:0.9rem;cursor:pointer;">
         Retry
       </button>
     </div>`;
   ordersCount.textContent = 'Error';
 }
 
+// Selection/modal key — row numbers repeat across sources in the All view,
+// and Shopify row numbers shift as orders come and go, so use the Shopify id
+function orderKey(order) {
+  return order['Source'] === 'Shopify'
+    ? `Shopify:${order['ShopifyID']}`
+    : `${order['Source'] || ''}:${order._RowNumber}`;
+}
+
 function getStatusClass(status) {
   switch ((status || '').toLowerCase()) {
     case 'shipped':   return 'status-shipped';
-    case 'delivered': return 'status-delivered';
+    case 'delivered':
+    case 'fulfilled': return 'status-delivered';
     case 'pending':   return 'status-pending';
+    case 'in production': return 'status-production';
+    case 'ready':     return 'status-ready';
+    case 'picked up': return 'status-delivered';
     case 'cancelled':
     case 'canceled':  return 'status-cancelled';
     default:          return 'status-default';
   }
 }
 
-// Local today as YYYY-MM-DD (avoids UTC offset issues with toISOString)
+// The bakery's today as YYYY-MM-DD (BUSINESS_TIMEZONE, not this device's zone)
 function todayLocal() {
-  const d = new Date();
-  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+  return businessToday();
 }
 
-// Local date N days from today as YYYY-MM-DD
+// The bakery's date N days from today as YYYY-MM-DD
 function futureLocal(days) {
-  const d = new Date();
-  d.setDate(d.getDate() + days);
-  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
-}
-
-// Convert MM/DD/YYYY (AppSheet) → YYYY-MM-DD (for date input comparison)
-function toISODate(dateStr) {
-  if (!dateStr) return '';
-  const m = dateStr.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
-  if (m) return `${m[3]}-${m[1].padStart(2,'0')}-${m[2].padStart(2,'0')}`;
-  return dateStr; // already ISO or unknown format
-}
-
-function formatDate(dateStr) {
-  if (!dateStr) return '';
-  // Handle both MM/DD/YYYY (AppSheet) and YYYY-MM-DD
-  const iso = toISODate(dateStr);
-  const d = new Date(iso + 'T00:00:00');
-  if (isNaN(d.getTime())) return dateStr;
-  return d.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
-}
-
-function escHtml(str) {
-  return String(str)
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;');
+  return businessToday(days);
 }
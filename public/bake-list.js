@@ -0,0 +1,210 @@
+/* =================================================================
+   bake-list.js — Production totals for the bakers: how many of each
+   product, size and flavor are due, by pickup window, with a
+   printable letter-size bake sheet. Totals come from /api/bake-list.
+   ================================================================= */
+
+'use strict';
+
+// escHtml() and the date helpers come from print-templates.js (loaded first).
+
+// Filters the orders page can hand over in the link (see app.js)
+const PASSED_FILTERS = ['orderFrom', 'orderTo', 'status', 'type', 'customer'];
+
+// ----------------------------------------------------------------
+// State
+// ----------------------------------------------------------------
+let bakeList     = null;  // last /api/bake-list response
+let extraFilters = {};    // PASSED_FILTERS from the URL
+
+// ----------------------------------------------------------------
+// DOM refs
+// ----------------------------------------------------------------
+const bakeFrom         = document.getElementById('bakeFrom');
+const bakeTo           = document.getElementById('bakeTo');
+const bakeView         = document.getElementById('bakeView');
+const bakeExtraFilters = document.getElementById('bakeExtraFilters');
+const bakeSummary      = document.getElementById('bakeSummary');
+const bakeTableWrap    = document.getElementById('bakeTableWrap');
+const bakeTotal        = document.getElementById('bakeTotal');
+const bakePrintBtn     = document.getElementById('bakePrintBtn');
+const printContainer   = document.getElementById('printContainer');
+
+// ----------------------------------------------------------------
+// Boot
+// ----------------------------------------------------------------
+document.addEventListener('DOMContentLoaded', async () => {
+  // Today's pickups are the bakery's today (BUSINESS_TIMEZONE)
+  await loadBusinessTimeZone();
+  readUrlFilters();
+  bakeFrom.addEventListener('change', onFilterChange);
+  bakeTo.addEventListener('change', onFilterChange);
+  bakeView.addEventListener('change', onFilterChange);
+  bakePrintBtn.addEventListener('click', printBakeSheet);
+  loadBakeList();
+});
+
+// /bake-list.html?view=all&pickupFrom=…&pickupTo=… — links from the orders
+// page always carry view; opened from the menu it's today's pickups
+function readUrlFilters() {
+  const params = new URLSearchParams(window.location.search);
+  const linked = params.has('view');
+  bakeFrom.value = linked ? params.get('pickupFrom') || '' : todayLocal();
+  bakeTo.value   = linked ? params.get('pickupTo') || '' : todayLocal();
+  if (['all', 'orders', 'delivery'].includes(params.get('view'))) bakeView.value = params.get('view');
+
+  PASSED_FILTERS.forEach(key => {
+    if (params.get(key)) extraFilters[key] = params.get(key);
+  });
+  const labels = Object.entries(extraFilters).map(([k, v]) => `${k}: ${v}`);
+  bakeExtraFilters.hidden = labels.length === 0;
+  bakeExtraFilters.textContent = labels.length ? `Also filtered by ${labels.join(', ')}` : '';
+}
+
+function onFilterChange() {
+  // Keep the URL shareable and reload-safe
+  history.replaceState(null, '', `?${buildQuery()}`);
+  loadBakeList();
+}
+
+function buildQuery() {
+  const params = new URLSearchParams({ view: bakeView.value });
+  if (bakeFrom.value) params.set('pickupFrom', bakeFrom.value);
+  if (bakeTo.value)   params.set('pickupTo', bakeTo.value);
+  Object.entries(extraFilters).forEach(([k, v]) => params.set(k, v));
+  return params.toString();
+}
+
+// ----------------------------------------------------------------
+// Data
+// ----------------------------------------------------------------
+async function loadBakeList() {
+  bakePrintBtn.disabled = true;
+  bakeTableWrap.innerHTML = `
+    <div class="state-msg">
+      <div class="spinner" role="status" aria-label="Loading"></div>
+      <p>Loading bake list…</p>
+    </div>`;
+  try {
+    const res  = await fetch(`/api/bake-list?${buildQuery()}`);
+    const data = await res.json().catch(() => null);
+    if (!res.ok || !data || data.error) throw new Error(data?.error || `Server error ${res.status}`);
+    bakeList = data;
+    renderBakeList();
+  } catch (err) {
+    bakeList = null;
+    bakeSummary.textContent = '';
+    bakeTotal.textContent = '';
+    bakeTableWrap.innerHTML = `
+      <div class="state-msg">
+        <span class="icon" aria-hidden="true">⚠️</span>
+        <p>Could not load the bake list: ${escHtml(err.message)}</p>
+      </div>`;
+  }
+}
+
+// ----------------------------------------------------------------
+// Render
+// ----------------------------------------------------------------
+function renderBakeList() {
+  const { rows, totals, orderCount, sources } = bakeList;
+  bakeSummary.textContent = describeScope(orderCount, sources);
+  bakeTotal.innerHTML = `<strong>${formatQty(totals.total)}</strong> item${totals.total !== 1 ? 's' : ''} to make`;
+  bakePrintBtn.disabled = rows.length === 0;
+
+  if (rows.length === 0) {
+    bakeTableWrap.innerHTML = `
+      <div class="state-msg">
+        <span class="icon" aria-hidden="true">🧁</span>
+        <p>Nothing due for these dates.</p>
+      </div>`;
+    return;
+  }
+  bakeTableWrap.innerHTML = buildBakeTable(bakeList, 'bake-table');
+}
+
+// Shared by the screen and the printed sheet
+function buildBakeTable({ rows, windows, totals }, className, { checkColumn = false } = {}) {
+  let lastProduct = null;
+  const body = rows.map(row => {
+    const first = row.product !== lastProduct;
+    lastProduct = row.product;
+    return `<tr class="${first ? 'bake-row--first' : ''}">
+      ${checkColumn ? '<td class="bake-check-col"></td>' : ''}
+      <td class="bake-product">${first ? escHtml(row.product) : ''}</td>
+      <td>${escHtml(row.size || '—')}</td>
+      <td>${escHtml(row.flavor || '—')}</td>
+      ${windows.map(w => `<td class="bake-num">${row.byWindow[w] ? formatQty(row.byWindow[w]) : ''}</td>`).join('')}
+      <td class="bake-num bake-total">${formatQty(row.total)}</td>
+    </tr>`;
+  }).join('');
+
+  return `<table class="${className}">
+    <thead><tr>
+      ${checkColumn ? '<th class="bake-check-col"></th>' : ''}
+      <th>Product</th><th>Size</th><th>Flavor</th>
+      ${windows.map(w => `<th class="bake-num">${escHtml(w)}</th>`).join('')}
+      <th class="bake-num">Total</th>
+    </tr></thead>
+    <tbody>${body}</tbody>
+    <tfoot><tr>
+      ${checkColumn ? '<td class="bake-check-col"></td>' : ''}
+      <td colspan="3">Total</td>
+      ${windows.map(w => `<td class="bake-num">${formatQty(totals.byWindow[w] || 0)}</td>`).join('')}
+      <td class="bake-num bake-total">${formatQty(totals.total)}</td>
+    </tr></tfoot>
+  </table>`;
+}
+
+function describeScope(orderCount, sources) {
+  const bySource = Object.entries(sources).map(([s, n]) => `${n} ${s}`).join(', ');
+  return `${orderCount} order${orderCount !== 1 ? 's' : ''}${bySource ? ` (${bySource})` : ''} · ${describeDates()}`;
+}
+
+function describeDates() {
+  const from = bakeFrom.value;
+  const to   = bakeTo.value;
+  if (!from && !to) return 'all dates';
+  if (from === to)  return formatLongDate(from);
+  if (!to)          return `from ${formatLongDate(from)}`;
+  if (!from)        return `through ${formatLongDate(to)}`;
+  return `${formatLongDate(from)} – ${formatLongDate(to)}`;
+}
+
+// ----------------------------------------------------------------
+// Print — one letter-size sheet (more if the list is long)
+// ----------------------------------------------------------------
+function printBakeSheet() {
+  if (!bakeList || bakeList.rows.length === 0) return;
+  const now = new Date();
+  const timeZone = getBusinessTimeZone();
+  const printedAt = now.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', timeZone })
+    + ' at ' + now.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZone });
+
+  printContainer.innerHTML = `<div class="print-bake-sheet">
+    <h1 class="print-bake-title">Bake List — ${escHtml(describeDates())}</h1>
+    <div class="print-bake-meta">${escHtml(describeScope(bakeList.orderCount, bakeList.sources))}${bakeExtraFilters.hidden ? '' : ` · ${escHtml(bakeExtraFilters.textContent)}`}</div>
+    <div class="print-bake-timestamp">Printed: ${escHtml(printedAt)}</div>
+    ${buildBakeTable(bakeList, 'print-bake-table', { checkColumn: true })}
+  </div>`;
+
+  // Safari/iOS needs a small delay before window.print()
+  setTimeout(() => window.print(), 100);
+}
+
+// ----------------------------------------------------------------
+// Utilities
+// ----------------------------------------------------------------
+function formatQty(n) {
+  return Number.isInteger(n) ? String(n) : n.toFixed(1);
+}
+
+function formatLongDate(iso) {
+  const d = new Date(`${iso}T00:00:00`);
+  if (isNaN(d.getTime())) return iso;
+  return d.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+}
+
+function todayLocal() {
+  return businessToday();
+}
@@ -4,46 +4,8 @@
 
 'use strict';
 
-// ----------------------------------------------------------------
-// Default Template (kept in sync with app.js)
-// ----------------------------------------------------------------
-const DEFAULT_TEMPLATE = `<!-- ═══ PACKING SLIP (top half) ═══ -->
-<div class="slip-half">
-  <div class="slip-title">Packing Slip</div>
-  <div class="slip-header">
-    <div>
-      <div class="slip-order-id">{{OrderID}}</div>
-      <h2 class="slip-customer">{{Order Name}}</h2>
-    </div>
-    <span class="slip-count">{{Order Count}}</span>
-  </div>
-  <div class="slip-meta">
-    <div><strong>Due Date:</strong> {{Due Pickup Date}}</div>
-    <div><strong>Due Time:</strong> {{Due Pickup Time}}</div>
-    <div><strong>Number:</strong> {{PhoneNumber}}</div>
-  </div>
-  {{LINE_ITEMS_TABLE}}
-</div>
-
-<hr class="slip-divider">
-
-<!-- ═══ BAKERY SHEET (bottom half) ═══ -->
-<div class="slip-half">
-  <div class="slip-title">Bakery Sheet</div>
-  <div class="slip-header">
-    <div>
-      <div class="slip-order-id">{{OrderID}}</div>
-      <h2 class="slip-customer">{{Order Name}}</h2>
-    </div>
-    <span class="slip-count">{{Order Count}}</span>
-  </div>
-  <div class="slip-meta">
-    <div><strong>Due Date:</strong> {{Due Pickup Date}}</div>
-    <div><strong>Due Time:</strong> {{Due Pickup Time}}</div>
-    <div><strong>Number:</strong> {{PhoneNumber}}</div>
-  </div>
-  {{LINE_ITEMS_TABLE}}
-</div>`;
+// DEFAULT_TEMPLATE, fillTemplate() and buildLineItemsTable() come from
+// print-templates.js, so the preview matches what app.js prints.
 
 // ----------------------------------------------------------------
 // State
@@ -97,9 +59,10 @@ function initEditor() {
     }
   });
 
-  // Load saved template or default
+  // This device's copy first, then the shared one once it arrives
   const saved = localStorage.getItem('orderPrintTemplate');
   editor.setValue(saved || DEFAULT_TEMPLATE);
+  loadTemplate();
 
   // Make CodeMirror fill the editor-wrap height properly
   // (the CSS sets height:100% but CM needs a refresh after attach)
@@ -145,17 +108,33 @@ function bindToolbarEvents() {
   fieldsBtn.addEventListener('click', openFieldsModal);
 }
 
-function saveTemplate() {
+// Shared print template (/api/store via store-client.js)
+async function loadTemplate() {
+  const shared = await storeLoad('printTemplate', {
+    legacyKey: 'orderPrintTemplate',
+    text: true,
+    onConflict: fresh => {
+      editor.setValue(fresh || DEFAULT_TEMPLATE);
+      showSaveFeedback('Someone else saved first — reloaded theirs');
+    },
+    onError: msg => showSaveFeedback(msg),
+  });
+  if (editor.getValue() !== (shared || DEFAULT_TEMPLATE)) editor.setValue(shared || DEFAULT_TEMPLATE);
+}
+
+async function saveTemplate() {
   const val = editor.getValue();
-  localStorage.setItem('orderPrintTemplate', val);
-  showSaveFeedback();
+  if (await storeSave('printTemplate', val)) showSaveFeedback();
 }
 
 function resetTemplate() {
+  if (!staffCan('template.reset')) return showSaveFeedback('Only a manager can reset');
   if (!confirm('Reset to the default template? Your custom template will be lost.')) return;
-  localStorage.removeItem('orderPrintTemplate');
-  editor.setValue(DEFAULT_TEMPLATE);
-  showSaveFeedback('✓ Reset to default');
+  storeReset('printTemplate').then(ok => {
+    if (!ok) return;
+    editor.setValue(DEFAULT_TEMPLATE);
+    showSaveFeedback('✓ Reset to default');
+  });
 }
 
 function showSaveFeedback(msg = '✓ Saved!') {
@@ -171,52 +150,12 @@ function renderPreview() {
   const template = editor.getValue();
   const order    = sampleOrder || getSampleOrderFallback();
 
-  let html = template;
-
-  // Handle conditional blocks
-  html = html.replace(/\{\{#([^}]+)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (_, key, content) => {
-    const val = order[key.trim()];
-    return (val && String(val).trim()) ? content : '';
-  });
-
-  // Replace placeholders
-  html = html.replace(/\{\{([^}]+)\}\}/g, (_, key) => {
-    const k = key.trim();
-    if (k === 'LINE_ITEMS_TABLE') return buildLineItemsTable(order);
-    if (k === 'PRINT_DATE')       return new Date().toLocaleDateString();
-    return escHtml(String(order[k] ?? ''));
-  });
+  const html = fillTemplate(order, template);
 
   // Inject print-order class styles inline for preview
   previewInner.innerHTML = `<div class="print-order" style="padding:0;">${html}</div>`;
 }
 
-function buildLineItemsTable(order) {
-  const items = order['Line Items'];
-  if (!items || !Array.isArray(items) || items.length === 0) {
-    return '<p style="color:#666;font-style:italic;font-size:10pt;">No line items.</p>';
-  }
-  const rows = items.map(item => {
-    const product = item['Product Name'] || item['Product'] || item['Item'] || item['Order Details'] || item['Description'] || '';
-    const qty     = item['Qty'] || item['Quantity'] || item['QTY'] || '';
-    return `<tr>
-      <td class="slip-check-cell"></td>
-      <td class="slip-detail-cell">${escHtml(String(product))}</td>
-      <td class="slip-qty-cell">${escHtml(String(qty))}</td>
-    </tr>`;
-  }).join('');
-  return `<table class="slip-items-table">
-    <thead>
-      <tr>
-        <th class="slip-check-cell"></th>
-        <th class="slip-detail-cell">Order Details</th>
-        <th class="slip-qty-cell">Qty</th>
-      </tr>
-    </thead>
-    <tbody>${rows}</tbody>
-  </table>`;
-}
-
 // ----------------------------------------------------------------
 // Fetch Sample Order (for preview + fields list)
 // ----------------------------------------------------------------
@@ -236,20 +175,34 @@ async function fetchSampleOrder() {
   }
 }
 
+// Uses the order model field names (config/field-map.json), same as /api/orders
 function getSampleOrderFallback() {
   return {
-    _RowNumber: 1,
-    'Order Number': '1001',
+    _RowNumber: 2,
+    'OrderID': 'A1B2C3',
+    'Order Name': 'Sample Customer',
     'Customer Name': 'Sample Customer',
-    'Order Date': '2025-03-15',
-    'Status': 'Shipped',
-    'Total': '$99.00',
-    'Email': 'sample@example.com',
-    'Phone': '555-0100',
-    'Shipping Address': '123 Sample St, Anytown, IL 00000',
-    'Notes': 'Sample notes',
+    'Order Date': '03/15/2025',
+    'Due Pickup Date': '03/16/2025',
+    'Due Pickup Time': '10:00 AM',
+    'PhoneNumber': '(555) 010-0100',
+    'Status': 'Pending',
+    'Order Type': 'Pickup',
+    'Order Count': '1',
+    'Total': '$45.00',
+    'Location': 'Main Street',
+    'Order Notes': 'Sample notes',
     'Line Items': [
-      { 'Product': 'Sample Item', 'Qty': 1, 'Unit Price': '$99.00', 'Line Total': '$99.00' }
+      {
+        'OrderID': 'A1B2C3',
+        'Product Description': '8" Round Caramel Cake',
+        'CakeQty': 1,
+        'Flavor': 'Caramel',
+        'Writing Notes': 'Happy Birthday',
+        'Color': 'Blue',
+        'Add-Ons': '',
+        'Line Item Notes': '',
+      }
     ]
   };
 }
@@ -312,14 +265,3 @@ function populateFieldsList() {
     });
   });
 }
-
-// ----------------------------------------------------------------
-// Helpers
-// ----------------------------------------------------------------
-function escHtml(str) {
-  return String(str)
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;');
-}
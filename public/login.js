@@ -0,0 +1,69 @@
+/* =================================================================
+   login.js — Staff sign-in (POST /api/session)
+   ================================================================= */
+
+'use strict';
+
+const loginForm  = document.getElementById('loginForm');
+const loginName  = document.getElementById('loginName');
+const loginPin   = document.getElementById('loginPin');
+const loginError = document.getElementById('loginError');
+const loginBtn   = document.getElementById('loginBtn');
+
+// Only follow same-site paths so ?next= can't bounce staff to another site.
+// Resolved as the browser would, so /\host and //host count as other sites;
+// leading slashes are collapsed so /.//host can't come back out as //host.
+function nextPath() {
+  const next = new URLSearchParams(window.location.search).get('next') || '/';
+  try {
+    const url = new URL(next, window.location.origin);
+    if (url.origin === window.location.origin) {
+      return url.pathname.replace(/^\/+/, '/') + url.search + url.hash;
+    }
+  } catch {
+    // not a URL at all
+  }
+  return '/';
+}
+
+function showLoginError(msg) {
+  loginError.textContent = msg;
+  loginError.hidden = false;
+}
+
+document.addEventListener('DOMContentLoaded', async () => {
+  // Already signed in (e.g. the back button) — carry on
+  const res = await fetch('/api/session').catch(() => null);
+  if (res && res.ok) {
+    window.location.replace(nextPath());
+    return;
+  }
+  loginName.focus();
+});
+
+loginForm.addEventListener('submit', async e => {
+  e.preventDefault();
+  if (!loginName.value.trim() || !loginPin.value) {
+    showLoginError('Enter your name and your PIN or password.');
+    return;
+  }
+
+  loginBtn.disabled = true;
+  loginError.hidden = true;
+  try {
+    const res = await fetch('/api/session', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name: loginName.value.trim(), pin: loginPin.value }),
+    });
+    const data = await res.json().catch(() => null);
+    if (!res.ok) throw new Error(data?.error || `Server error ${res.status}`);
+    window.location.replace(nextPath());
+  } catch (err) {
+    showLoginError(err.message);
+    loginPin.value = '';
+    loginPin.focus();
+  } finally {
+    loginBtn.disabled = false;
+  }
+});
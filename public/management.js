@@ -1,6 +1,7 @@
 /* =================================================================
    management.js — Station SOP Runbook system. View, edit, and print
-   station duty cards. All data persisted to localStorage.
+   station duty cards. Stations are saved on the server (store-client.js)
+   so every device shares them; version history lives in Supabase.
    ================================================================= */
 
 'use strict';
@@ -147,17 +148,24 @@ const SEED_STATIONS = [
 ];
 
 // ----------------------------------------------------------------
-// Data Layer (localStorage)
+// Data Layer (/api/store via store-client.js)
 // ----------------------------------------------------------------
-function loadStations() {
-  const raw = localStorage.getItem('sopStations');
-  if (raw) return JSON.parse(raw);
-  saveStations(SEED_STATIONS);
-  return JSON.parse(JSON.stringify(SEED_STATIONS));
+async function loadStations() {
+  const data = await storeLoad('stations', {
+    legacyKey: 'sopStations',
+    seed: JSON.parse(JSON.stringify(SEED_STATIONS)),
+    onConflict: fresh => {
+      stations = fresh;
+      currentTab === 'edit' ? renderEditView() : renderRunbooksView();
+      showToast('Someone else saved first — their changes are shown, redo yours');
+    },
+    onError: showToast,
+  });
+  return data || [];
 }
 
 function saveStations(stations) {
-  localStorage.setItem('sopStations', JSON.stringify(stations));
+  storeSave('stations', stations);
 }
 
 function generateId() {
@@ -202,8 +210,9 @@ async function restoreSnapshot(id) {
     console.error('Failed to restore snapshot:', error?.message);
     return false;
   }
-  saveStations(data.stations_json);
-  stations = loadStations();
+  // The server checks the role too (snapshot.restore)
+  if (!await storeSave('stations', data.stations_json, { restore: true })) return false;
+  stations = data.stations_json;
   renderRunbooksView();
   return true;
 }
@@ -231,11 +240,11 @@ const actionBar      = document.getElementById('sopActionBar');
 // ----------------------------------------------------------------
 // Boot
 // ----------------------------------------------------------------
-document.addEventListener('DOMContentLoaded', () => {
-  stations = loadStations();
+document.addEventListener('DOMContentLoaded', async () => {
   bindViewTabs();
   bindPrintModal();
   bindHistoryModal();
+  stations = await loadStations();
   renderRunbooksView();
 });
 
@@ -269,7 +278,6 @@ function bindViewTabs() {
 // RUNBOOKS VIEW (read-only + print)
 // ----------------------------------------------------------------
 function renderRunbooksView() {
-  stations = loadStations();
   runbooksList.innerHTML = '';
 
   if (stations.length === 0) {
@@ -358,7 +366,6 @@ function renderRunbooksView() {
 // EDIT STATIONS VIEW (CRUD)
 // ----------------------------------------------------------------
 function renderEditView() {
-  stations = loadStations();
   editList.innerHTML = '';
 
   const sorted = [...stations].sort((a, b) => a.sortOrder - b.sortOrder);
@@ -388,7 +395,7 @@ function renderEditView() {
       <div class="house-panel" data-station="${station.id}">
         <div class="sop-edit-station-header">
           <input type="text" class="template-title-input sop-station-name-input" value="${escAttr(station.name)}" data-station-id="${station.id}" aria-label="Station name">
-          <button class="template-delete-btn sop-delete-station-btn" data-station-id="${station.id}" title="Delete station" aria-label="Delete station">&times;</button>
+          <button class="template-delete-btn sop-delete-station-btn" data-station-id="${station.id}" data-action="station.delete" title="Delete station" aria-label="Delete station">&times;</button>
         </div>
         ${station.sections.sort((a, b) => a.sortOrder - b.sortOrder).map(sec => `
           <div class="sop-edit-section" data-section-id="${sec.id}">
@@ -533,6 +540,7 @@ function bindEditEvents() {
   // Delete station
   editList.querySelectorAll('.sop-delete-station-btn').forEach(btn => {
     btn.addEventListener('click', () => {
+      if (!staffCan('station.delete')) return showToast('Only a manager can delete stations');
       if (!confirm('Delete this entire station?')) return;
       stations = stations.filter(s => s.id !== btn.dataset.stationId);
       saveStations(stations);
@@ -667,7 +675,6 @@ function closePrintModal() {
 // Print Execution
 // ----------------------------------------------------------------
 function executePrint(size) {
-  stations = loadStations();
   const toPrint = printTarget
     ? stations.filter(s => s.id === printTarget)
     : [...stations].sort((a, b) => a.sortOrder - b.sortOrder);
@@ -780,6 +787,7 @@ function bindHistoryModal() {
   });
   restoreBtn.addEventListener('click', async () => {
     if (!selectedSnapshotId) return;
+    if (!staffCan('snapshot.restore')) return showToast('Only a manager can restore versions');
     if (!confirm('Restore this version? Current stations will be replaced.')) return;
     const ok = await restoreSnapshot(selectedSnapshotId);
     if (ok) {
@@ -80,4 +80,90 @@
 
     if (active) item.classList.add('menu-item--active');
   });
+
+  // ----------------------------------------------------------------
+  // Staff session — send expired logins back to the login page, hide
+  // what this role can't use, and show who is signed in with a Log out
+  // button in the drawer. The server enforces the same rules; this
+  // just keeps people from tapping into a 403.
+  // ----------------------------------------------------------------
+  var session = null;
+
+  function goToLogin() {
+    window.location.href = '/login.html?next=' +
+      encodeURIComponent(window.location.pathname + window.location.search);
+  }
+
+  // Page scripts check this before a destructive action, e.g.
+  // staffCan('station.delete'). False until the session has loaded.
+  window.staffCan = function (action) {
+    return !!(session && session.actions && session.actions[action]);
+  };
+
+  var nativeFetch = window.fetch.bind(window);
+  window.fetch = function (input, init) {
+    return nativeFetch(input, init).then(function (res) {
+      var url = typeof input === 'string' ? input : (input && input.url) || '';
+      if (res.status === 401 && url.indexOf('/api/') !== -1 && url.indexOf('/api/session') === -1) {
+        goToLogin();
+      }
+      return res;
+    });
+  };
+
+  function applyPermissions() {
+    var pages = session.pages || {};
+    var actions = session.actions || {};
+
+    // Static hosting can't check roles, so the page does it itself
+    if (pages[path] === false) {
+      window.location.replace('/');
+      return;
+    }
+
+    items.forEach(function (item) {
+      if (pages[item.getAttribute('href')] === false) item.parentNode.hidden = true;
+    });
+
+    // Buttons rendered later are covered too: hide by data-action
+    var denied = Object.keys(actions).filter(function (a) { return !actions[a]; });
+    if (denied.length) {
+      var style = document.createElement('style');
+      style.textContent = denied.map(function (a) {
+        return '[data-action="' + a + '"]';
+      }).join(',\n') + ' { display: none !important; }';
+      document.head.appendChild(style);
+    }
+  }
+
+  function addSessionFooter() {
+    var footer = document.createElement('div');
+    footer.className = 'menu-session';
+
+    var who = document.createElement('span');
+    who.textContent = 'Signed in as ' + session.name;
+
+    var logout = document.createElement('button');
+    logout.type = 'button';
+    logout.className = 'menu-logout-btn';
+    logout.textContent = 'Log out';
+    logout.addEventListener('click', function () {
+      nativeFetch('/api/session', { method: 'DELETE', credentials: 'same-origin' })
+        .finally(function () { window.location.href = '/login.html'; });
+    });
+
+    footer.appendChild(who);
+    footer.appendChild(logout);
+    drawer.appendChild(footer);
+  }
+
+  nativeFetch('/api/session', { credentials: 'same-origin' })
+    .then(function (res) { return res.ok ? res.json() : null; })
+    .then(function (data) {
+      if (!data) return;
+      session = data;
+      applyPermissions();
+      if (!session.authDisabled) addSessionFooter();
+    })
+    .catch(function () { /* offline — leave the drawer as is */ });
 })();
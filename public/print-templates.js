@@ -0,0 +1,411 @@
+/* =================================================================
+   print-templates.js — Packing slip / bakery sheet / driver's copy HTML
+   Shared by the browser (app.js, designer.js load it first and use the
+   globals) and the server (api/print.js requires it), so window.print() and
+   the PDF endpoint produce the same markup.
+   ================================================================= */
+
+'use strict';
+
+// ----------------------------------------------------------------
+// Default Print Template
+// ----------------------------------------------------------------
+// Template generates both Packing Slip + Bakery Sheet halves on one page.
+// Placeholders are order model fields (config/field-map.json).
+const DEFAULT_TEMPLATE = `<!-- ═══ PACKING SLIP (top half) ═══ -->
+<div class="slip-half">
+  <div class="slip-title">Packing Slip</div>
+  <div class="slip-order-count-banner"><strong>Order Count: {{Order Count}}</strong></div>
+  <div class="slip-header">
+    <div>
+      <div class="slip-order-id">{{OrderID}}</div>
+      <h2 class="slip-customer">{{Order Name}}</h2>
+    </div>
+    <span class="slip-count">{{Order Count}}</span>
+  </div>
+  <div class="slip-meta">
+    <div><strong>Due Date:</strong> {{Due Pickup Date}}</div>
+    <div><strong>Due Time:</strong> {{Due Pickup Time}}</div>
+    <div><strong>Number:</strong> {{PhoneNumber}}</div>
+  </div>
+  {{LINE_ITEMS_TABLE}}
+</div>
+
+<hr class="slip-divider">
+
+<!-- ═══ BAKERY SHEET (bottom half) ═══ -->
+<div class="slip-half">
+  <div class="slip-title">Bakery Sheet</div>
+  <div class="slip-order-count-banner"><strong>Order Count: {{Order Count}}</strong></div>
+  <div class="slip-header">
+    <div>
+      <div class="slip-order-id">{{OrderID}}</div>
+      <h2 class="slip-customer">{{Order Name}}</h2>
+    </div>
+    <span class="slip-count">{{Order Count}}</span>
+  </div>
+  <div class="slip-meta">
+    <div><strong>Due Date:</strong> {{Due Pickup Date}}</div>
+    <div><strong>Due Time:</strong> {{Due Pickup Time}}</div>
+    <div><strong>Number:</strong> {{PhoneNumber}}</div>
+  </div>
+  {{LINE_ITEMS_TABLE}}
+</div>`;
+
+// ----------------------------------------------------------------
+// Render
+// ----------------------------------------------------------------
+// Fill {{Field}} placeholders and {{#Field}}...{{/Field}} conditional blocks
+function fillTemplate(order, templateHtml) {
+  let html = templateHtml;
+
+  // Handle conditional blocks: {{#Field}}...{{/Field}}
+  html = html.replace(/\{\{#([^}]+)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (_, key, content) => {
+    const val = order[key.trim()];
+    return (val && String(val).trim()) ? content : '';
+  });
+
+  // Replace placeholders
+  return html.replace(/\{\{([^}]+)\}\}/g, (_, key) => {
+    const k = key.trim();
+    if (k === 'LINE_ITEMS_TABLE') return buildLineItemsTable(order);
+    if (k === 'PRINT_DATE')       return new Date().toLocaleDateString('en-US', { timeZone: businessTimeZone });
+    return escHtml(String(order[k] ?? ''));
+  });
+}
+
+// One order's printable pages; delivery orders also get a driver's copy
+function renderOrderForPrint(order, templateHtml = DEFAULT_TEMPLATE) {
+  const html = fillTemplate(order, templateHtml);
+
+  if (isDeliveryOrder(order)) {
+    return renderDeliveryForPrint(order, html);
+  }
+  return `<div class="print-order">${html}</div>`;
+}
+
+function renderDeliveryForPrint(order, templateHtml) {
+  const name  = escHtml(order['Order Name'] || order['Customer Name'] || '');
+  const addr  = escHtml(order['Delivery Address'] || order['Location'] || '');
+  const phone = escHtml(order['PhoneNumber'] || '');
+  const orderId = escHtml(order['OrderID'] || '');
+  const dueDate = escHtml(formatDate(order['Due Pickup Date'] || ''));
+  const dueTime = escHtml(order['Due Pickup Time'] || '');
+
+  const orderCount = escHtml(order['Order Count'] || '');
+
+  // Page 1: Packing Slip (unchanged)
+  const packingSlip = `<div class="print-order">
+    <div class="delivery-heading">DELIVERY</div>
+    <div class="slip-half">
+      <div class="slip-title">Packing Slip</div>
+      <div class="slip-order-count-banner"><strong>Order Count: ${orderCount}</strong></div>
+      <div class="slip-header">
+        <div>
+          <div class="slip-order-id">${orderId}</div>
+          <h2 class="slip-customer">${name}</h2>
+        </div>
+        <span class="slip-count">${orderCount}</span>
+      </div>
+      <div class="slip-meta">
+        <div><strong>Delivery Date:</strong> ${dueDate}</div>
+        <div><strong>Delivery Time:</strong> ${dueTime}</div>
+        <div><strong>Number:</strong> ${phone}</div>
+      </div>
+      ${buildLineItemsTable(order)}
+    </div>
+  </div>`;
+
+  // Page 2: Driver's Copy — redesigned for quick scanning
+  const driverNotes = buildDriverNotes(order);
+  const driverItems = buildDriverItemsTable(order);
+  const total = order['Total'] || '';
+
+  const driversCopy = `<div class="print-order driver-page">
+    <div class="driver-id-bar">
+      <span class="driver-id-label">DRIVER'S COPY</span>
+      <span class="driver-id-value">#${orderId}</span>
+    </div>
+    <div class="driver-address-block">
+      <div class="driver-name">${name}</div>
+      ${addr ? `<div class="driver-address">${addr}</div>` : ''}
+      <div class="driver-meta-row">
+        <span>${dueDate}${dueTime ? ' &mdash; ' + dueTime : ''}</span>
+        ${phone ? `<span>&#9742; ${phone}</span>` : ''}
+      </div>
+    </div>
+    ${driverNotes}
+    ${driverItems}
+    ${total ? `<div class="driver-total">Total: ${escHtml(total)}</div>` : ''}
+    <div class="driver-signatures">
+      <div class="driver-sig">
+        <div class="driver-sig-line"></div>
+        <div class="driver-sig-label">Packed by</div>
+      </div>
+      <div class="driver-sig">
+        <div class="driver-sig-line"></div>
+        <div class="driver-sig-label">Driver</div>
+      </div>
+    </div>
+  </div>`;
+
+  return packingSlip + driversCopy;
+}
+
+function buildDeliveryFooter(order) {
+  const rows = [];
+
+  // Delivery attributes (date, time, etc.) — address/phone already in top box
+  const attrs = order['Delivery Attributes'] || [];
+  attrs.forEach(a => {
+    if (a.value) {
+      rows.push(`<div><strong>${escHtml(a.name)}:</strong> ${escHtml(a.value)}</div>`);
+    }
+  });
+
+  if (order['Order Notes']) {
+    rows.push(`<div class="delivery-footer-notes"><strong>Delivery Notes:</strong> ${escHtml(order['Order Notes'])}</div>`);
+  }
+
+  if (rows.length === 0) return '';
+  return `<div class="delivery-footer">${rows.join('')}</div>`;
+}
+
+function buildDriverNotes(order) {
+  const lines = [];
+
+  // Delivery attributes (skip address/phone — already shown above)
+  const skipKeys = new Set(['delivery address', 'address', 'phone', 'phonenumber']);
+  const attrs = order['Delivery Attributes'] || [];
+  attrs.forEach(a => {
+    if (a.value && !skipKeys.has(a.name.toLowerCase()) && !a.name.toLowerCase().startsWith('easyroutes')) {
+      lines.push(`<strong>${escHtml(a.name)}:</strong> ${escHtml(a.value)}`);
+    }
+  });
+
+  if (order['Order Notes']) {
+    lines.push(`<strong>Delivery Notes:</strong> ${escHtml(order['Order Notes'])}`);
+  }
+
+  if (lines.length === 0) return '';
+  return `<div class="driver-notes-callout">${lines.join('<br>')}</div>`;
+}
+
+function buildDriverItemsTable(order) {
+  const items = order['Line Items'];
+  if (!items || !Array.isArray(items) || items.length === 0) {
+    return '<p style="color:#666;font-style:italic;font-size:10pt;">No line items.</p>';
+  }
+
+  const rows = items.map(item => {
+    const product = escHtml(String(item['Product Description'] || ''));
+    const subLines = [
+      item['Writing Notes']   ? `<div class="slip-sub">Writing: ${escHtml(item['Writing Notes'])}</div>`   : '',
+      item['Color']           ? `<div class="slip-sub">Color: ${escHtml(item['Color'])}</div>`             : '',
+      item['Add-Ons']         ? `<div class="slip-sub">Add-Ons: ${escHtml(item['Add-Ons'])}</div>`         : '',
+      item['Line Item Notes'] ? `<div class="slip-sub">Notes: ${escHtml(item['Line Item Notes'])}</div>`   : '',
+    ].join('');
+    const qty = escHtml(String(item['CakeQty'] || ''));
+
+    return `<tr>
+      <td class="driver-check-cell">&#9744;</td>
+      <td class="driver-detail-cell">${product}${subLines}</td>
+      <td class="driver-qty-cell">${qty}</td>
+    </tr>`;
+  }).join('');
+
+  return `<div class="driver-items-heading">ORDER ITEMS (${items.length})</div>
+  <table class="driver-items-table">
+    <thead>
+      <tr>
+        <th class="driver-check-cell">&#10003;</th>
+        <th class="driver-detail-cell">Item</th>
+        <th class="driver-qty-cell">Qty</th>
+      </tr>
+    </thead>
+    <tbody>${rows}</tbody>
+  </table>`;
+}
+
+function buildLineItemsTable(order) {
+  const items = order['Line Items'];
+  if (!items || !Array.isArray(items) || items.length === 0) {
+    return '<p style="color:#666;font-style:italic;font-size:10pt;">No line items.</p>';
+  }
+
+  const rows = items.map(item => {
+    // Build the detail cell: product + optional sub-lines (flavor, writing, color, add-ons, notes)
+    const product = escHtml(String(item['Product Description'] || ''));
+    const subLines = [
+      item['Flavor']         ? `<div class="slip-sub">Flavor: ${escHtml(item['Flavor'])}</div>`           : '',
+      item['Writing Notes']  ? `<div class="slip-sub">Writing: ${escHtml(item['Writing Notes'])}</div>`   : '',
+      item['Color']          ? `<div class="slip-sub">Color: ${escHtml(item['Color'])}</div>`             : '',
+      item['Add-Ons']        ? `<div class="slip-sub">Add-Ons: ${escHtml(item['Add-Ons'])}</div>`         : '',
+      item['Line Item Notes']? `<div class="slip-sub">Notes: ${escHtml(item['Line Item Notes'])}</div>`   : '',
+    ].join('');
+    const qty = escHtml(String(item['CakeQty'] || ''));
+
+    return `<tr>
+      <td class="slip-check-cell"></td>
+      <td class="slip-detail-cell">${product}${subLines}</td>
+      <td class="slip-qty-cell">${qty}</td>
+    </tr>`;
+  }).join('');
+
+  return `<table class="slip-items-table">
+    <thead>
+      <tr>
+        <th class="slip-check-cell"></th>
+        <th class="slip-detail-cell">Order Details</th>
+        <th class="slip-qty-cell">Qty</th>
+      </tr>
+    </thead>
+    <tbody>${rows}</tbody>
+  </table>`;
+}
+
+// Shopify delivery orders print with a driver's copy, including AppSheet rows
+// merged with one (lib/merge-orders.js)
+function isDeliveryOrder(order) {
+  return order['Source'] === 'Shopify' || !!order['Shopify OrderID'];
+}
+
+// ----------------------------------------------------------------
+// Helpers
+// ----------------------------------------------------------------
+// Dates and times are the bakery's, not the device's or the server's: an
+// IANA zone from BUSINESS_TIMEZONE (lib/timezone.js sets it in Node, pages
+// via loadBusinessTimeZone()). Unset means this device's zone.
+let businessTimeZone;
+
+function setBusinessTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    businessTimeZone = timeZone || undefined;
+  } catch {
+    console.warn(`[time] Unknown time zone "${timeZone}" — using this device's`);
+    businessTimeZone = undefined;
+  }
+  return businessTimeZone;
+}
+
+function getBusinessTimeZone() {
+  return businessTimeZone;
+}
+
+// Browser: /api/config, fetched once per page; null when it can't be reached
+let serverConfig = null;
+function loadServerConfig() {
+  if (!serverConfig) {
+    serverConfig = fetch('/api/config')
+      .then(res => (res.ok ? res.json() : null))
+      .catch(() => null);
+  }
+  return serverConfig;
+}
+
+// Browser: the zone from /api/config; falls back to the device's
+async function loadBusinessTimeZone() {
+  const config = await loadServerConfig();
+  if (config?.timezone) setBusinessTimeZone(config.timezone);
+  return businessTimeZone;
+}
+
+// YYYY-MM-DD of a moment, on the bakery's calendar
+function isoDateInZone(date = new Date(), timeZone = businessTimeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+    .formatToParts(date)
+    .forEach(p => { parts[p.type] = p.value; });
+  return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+// YYYY-MM-DD shifted by N days (calendar arithmetic, so DST can't skip a day)
+function addDays(iso, days) {
+  const d = new Date(`${iso}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+// The bakery's today (+ N days) as YYYY-MM-DD
+function businessToday(days = 0) {
+  return addDays(isoDateInZone(new Date()), days);
+}
+
+// MM/DD/YYYY (AppSheet, optionally with a time after it), M/D/YY, or ISO
+// (date or date-time) → YYYY-MM-DD. Anything else comes back unchanged.
+function toISODate(dateStr) {
+  if (!dateStr) return '';
+  const text = String(dateStr).trim();
+  let m = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4}|\d{2})(?:\s|$)/);
+  if (m) {
+    const year = m[3].length === 2 ? `20${m[3]}` : m[3];
+    return `${year}-${m[1].padStart(2, '0')}-${m[2].padStart(2, '0')}`;
+  }
+  m = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T\s]|$)/);
+  if (m) return `${m[1]}-${m[2].padStart(2, '0')}-${m[3].padStart(2, '0')}`;
+  return text; // unknown format
+}
+
+// "2:30 PM", "14:30", "9am" or the start of "10:00 AM - 12:00 PM" → minutes
+// after midnight, or null. Sorts pickup times chronologically, not as text.
+// The whole value has to be a time, so "1 Pickup" or "2 pieces" is null.
+function parseTimeOfDay(str) {
+  const start = String(str || '').split(/\s*[-–]\s*/)[0];
+  const m = start.match(/^\s*(\d{1,2})(?::(\d{2}))?(?::\d{2})?\s*(?:([ap])\.?m\.?)?\s*$/i);
+  if (!m) return null;
+  let hours = parseInt(m[1], 10);
+  const minutes = parseInt(m[2] || '0', 10);
+  const meridiem = (m[3] || '').toUpperCase();
+  if (!m[2] && !meridiem) return null; // a bare number isn't a time
+  if (meridiem && (hours < 1 || hours > 12)) return null;
+  if (meridiem === 'P' && hours < 12) hours += 12;
+  if (meridiem === 'A' && hours === 12) hours = 0;
+  if (hours > 23 || minutes > 59) return null;
+  return hours * 60 + minutes;
+}
+
+function formatDate(dateStr) {
+  if (!dateStr) return '';
+  // Handle both MM/DD/YYYY (AppSheet) and YYYY-MM-DD
+  const iso = toISODate(dateStr);
+  const d = new Date(iso + 'T00:00:00');
+  if (isNaN(d.getTime())) return dateStr;
+  return d.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+// Identity the print log records an order under (api/print-log.js).
+// Shopify ids and AppSheet OrderIDs survive re-sorting; row numbers don't.
+function printKey(order) {
+  if (order['Source'] === 'Shopify') return `Shopify:${order['ShopifyID']}`;
+  return order['OrderID'] ? `OrderID:${order['OrderID']}` : `${order['Source'] || ''}:${order._RowNumber}`;
+}
+
+function escHtml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DEFAULT_TEMPLATE,
+    fillTemplate,
+    renderOrderForPrint,
+    renderDeliveryForPrint,
+    buildLineItemsTable,
+    isDeliveryOrder,
+    printKey,
+    setBusinessTimeZone,
+    getBusinessTimeZone,
+    isoDateInZone,
+    addDays,
+    businessToday,
+    toISODate,
+    parseTimeOfDay,
+    formatDate,
+    escHtml,
+  };
+}
@@ -1,10 +1,13 @@
 /* =================================================================
    shift-planning.js — Shift checklist creation, history, and task
-   template management. All data persisted to localStorage.
+   template management. Data is saved on the server (store-client.js)
+   so every device shares it.
    ================================================================= */
 
 'use strict';
 
+// escHtml() and the date helpers come from print-templates.js (loaded first).
+
 // ----------------------------------------------------------------
 // Constants
 // ----------------------------------------------------------------
@@ -32,38 +35,51 @@ const SEED_TEMPLATES = [
 ];
 
 // ----------------------------------------------------------------
-// Data Layer (localStorage)
+// Data Layer (/api/store via store-client.js)
 // ----------------------------------------------------------------
-function loadTemplates() {
-  const raw = localStorage.getItem('shiftTaskTemplates');
-  if (raw) return JSON.parse(raw);
+// Another device saved first: show theirs and let the user redo the change
+function storeOptions(legacyKey, seed, apply) {
+  return {
+    legacyKey,
+    seed,
+    onConflict: fresh => {
+      apply(fresh || []);
+      renderCurrentView();
+      showToast('Someone else saved first — their changes are shown, redo yours');
+    },
+    onError: showToast,
+  };
+}
+
+async function loadTemplates() {
   // First load — seed with sample tasks
-  saveTemplates(SEED_TEMPLATES);
-  return SEED_TEMPLATES;
+  const data = await storeLoad('shiftTemplates',
+    storeOptions('shiftTaskTemplates', [...SEED_TEMPLATES], fresh => { templates = fresh; }));
+  return data || [];
 }
 
 function saveTemplates(templates) {
-  localStorage.setItem('shiftTaskTemplates', JSON.stringify(templates));
+  storeSave('shiftTemplates', templates);
 }
 
-function loadChecklists() {
-  const raw = localStorage.getItem('shiftChecklists');
-  return raw ? JSON.parse(raw) : [];
+async function loadChecklists() {
+  const data = await storeLoad('shiftChecklists',
+    storeOptions('shiftChecklists', null, fresh => { checklists = fresh; }));
+  return data || [];
 }
 
 function saveChecklists(checklists) {
-  localStorage.setItem('shiftChecklists', JSON.stringify(checklists));
+  storeSave('shiftChecklists', checklists);
 }
 
-function loadEmployees() {
-  const raw = localStorage.getItem('shiftEmployees');
-  if (raw) return JSON.parse(raw);
-  saveEmployees(SEED_EMPLOYEES);
-  return [...SEED_EMPLOYEES];
+async function loadEmployees() {
+  const data = await storeLoad('shiftEmployees',
+    storeOptions('shiftEmployees', [...SEED_EMPLOYEES], fresh => { employees = fresh; }));
+  return data || [];
 }
 
 function saveEmployees(employees) {
-  localStorage.setItem('shiftEmployees', JSON.stringify(employees));
+  storeSave('shiftEmployees', employees);
 }
 
 function generateId() {
@@ -111,16 +127,17 @@ const toast             = document.getElementById('toast');
 // ----------------------------------------------------------------
 // Boot
 // ----------------------------------------------------------------
-document.addEventListener('DOMContentLoaded', () => {
-  templates  = loadTemplates();
-  checklists = loadChecklists();
-  employees  = loadEmployees();
-
-  // Default date to today
-  shiftDate.value = new Date().toISOString().slice(0, 10);
+document.addEventListener('DOMContentLoaded', async () => {
+  // Default date to the bakery's today (toISOString() would be UTC's)
+  await loadBusinessTimeZone();
+  shiftDate.value = businessToday();
 
   bindViewTabs();
   bindActionBar();
+
+  [templates, checklists, employees] = await Promise.all([
+    loadTemplates(), loadChecklists(), loadEmployees(),
+  ]);
   renderCreateView();
 });
 
@@ -147,13 +164,17 @@ function bindViewTabs() {
       // Show/hide action bar (only on create view)
       shiftActionBar.hidden = view !== 'create';
 
-      if (view === 'create')  renderCreateView();
-      if (view === 'history') renderHistoryView();
-      if (view === 'admin')   renderAdminView();
+      renderCurrentView();
     });
   });
 }
 
+function renderCurrentView() {
+  if (currentView === 'create')  renderCreateView();
+  if (currentView === 'history') renderHistoryView();
+  if (currentView === 'admin')   renderAdminView();
+}
+
 // ----------------------------------------------------------------
 // Action Bar
 // ----------------------------------------------------------------
@@ -189,8 +210,6 @@ function buildAssigneeSelect(houseKey, taskId) {
 }
 
 function renderCreateView() {
-  templates = loadTemplates(); // refresh
-  employees = loadEmployees(); // refresh
   houseSections.innerHTML = '';
 
   HOUSES.forEach(house => {
@@ -460,7 +479,6 @@ function printChecklist() {
 // PAST CHECKLISTS VIEW (History)
 // ----------------------------------------------------------------
 function renderHistoryView() {
-  checklists = loadChecklists(); // refresh
   historyList.innerHTML = '';
 
   if (checklists.length === 0) {
@@ -509,7 +527,7 @@ function renderHistoryView() {
         ${renderHistoryItems(cl)}
         <div class="checklist-card-actions">
           <button class="btn-history-print" data-id="${cl.id}">Print</button>
-          <button class="btn-history-delete" data-id="${cl.id}">Delete</button>
+          <button class="btn-history-delete" data-id="${cl.id}" data-action="checklist.delete">Delete</button>
         </div>
       </div>
     `;
@@ -556,6 +574,7 @@ function renderHistoryView() {
   historyList.querySelectorAll('.btn-history-delete').forEach(btn => {
     btn.addEventListener('click', e => {
       e.stopPropagation();
+      if (!staffCan('checklist.delete')) return showToast('Only a manager can delete checklists');
       if (!confirm('Delete this checklist?')) return;
       checklists = checklists.filter(c => c.id !== btn.dataset.id);
       saveChecklists(checklists);
@@ -638,7 +657,6 @@ function renderAdminView() {
 }
 
 function renderTemplatesSection() {
-  templates = loadTemplates(); // refresh
   templateSections.innerHTML = '';
 
   HOUSES.forEach(house => {
@@ -736,7 +754,6 @@ function renderTemplatesSection() {
 }
 
 function renderEmployeesSection() {
-  employees = loadEmployees(); // refresh
   employeeSections.innerHTML = '';
 
   HOUSES.forEach(house => {
@@ -840,14 +857,6 @@ function showToast(msg) {
 // ----------------------------------------------------------------
 // Utilities
 // ----------------------------------------------------------------
-function escHtml(str) {
-  return String(str)
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;');
-}
-
 function escAttr(str) {
   return escHtml(str).replace(/'/g, '&#39;');
 }
@@ -0,0 +1,168 @@
+/* =================================================================
+   store-client.js — Shared page data saved on the server (/api/store),
+   so the counter tablet and the office PC see the same runbooks,
+   shift lists and print template.
+
+   Each page loads its documents once at boot and saves whole
+   documents back. Saves carry the version they were based on; if
+   another device saved first the server answers 409 and onConflict
+   gets the newer copy. The last copy the server accepted is also
+   kept in localStorage under the page's old key, so existing data is
+   imported the first time and the page still opens when the server
+   can't be reached.
+   ================================================================= */
+
+'use strict';
+
+// name → { version, generation, legacyKey, text, onConflict, onError, queue }
+// version null = loaded from this device only; saves stay local
+// generation goes up on a conflict, dropping saves queued before it
+const storeDocs = {};
+
+function storeReadLocal(doc) {
+  const raw = localStorage.getItem(doc.legacyKey);
+  if (raw === null) return null;
+  if (doc.text) return raw;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
+
+function storeWriteLocal(doc, data) {
+  if (data === null || data === undefined) localStorage.removeItem(doc.legacyKey);
+  else localStorage.setItem(doc.legacyKey, doc.text ? data : JSON.stringify(data));
+}
+
+async function storeRequest(name, method, body, query = '') {
+  const res = await fetch(`/api/store/${encodeURIComponent(name)}${query}`, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : undefined,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const data = await res.json().catch(() => null);
+  return { status: res.status, ok: res.ok, data };
+}
+
+// Load a document. Options:
+//   legacyKey   localStorage key the page used before (imported once)
+//   seed        data for a brand-new install (nothing saved anywhere)
+//   text        the document is a plain string, not JSON
+//   onConflict  (data) => … another device saved first; data is theirs
+//   onError     (message) => … a save didn't reach the server
+async function storeLoad(name, options = {}) {
+  const doc = storeDocs[name] = {
+    version: null,
+    generation: 0,
+    legacyKey: options.legacyKey,
+    text: !!options.text,
+    onConflict: options.onConflict || (() => {}),
+    onError: options.onError || (msg => console.error(`[store] ${name}:`, msg)),
+    queue: Promise.resolve(),
+  };
+
+  let res;
+  try {
+    res = await storeRequest(name, 'GET');
+  } catch (err) {
+    res = { ok: false, data: { error: err.message } };
+  }
+  if (!res.ok) {
+    doc.onError(`Couldn't load from the server (${res.data?.error || res.status}) — showing this device's copy`);
+    return storeReadLocal(doc) ?? options.seed ?? null;
+  }
+
+  doc.version = res.data.version;
+  if (doc.version > 0) {
+    storeWriteLocal(doc, res.data.data);
+    return res.data.data;
+  }
+
+  // Never saved on the server: bring this browser's data over, or seed
+  const initial = storeReadLocal(doc) ?? options.seed ?? null;
+  if (initial !== null) {
+    const saved = await storeRequest(name, 'PUT', { version: 0, data: initial }).catch(() => null);
+    if (saved?.ok) {
+      doc.version = saved.data.version;
+    } else if (saved?.status === 409) {
+      // Another device imported first; theirs wins
+      doc.version = saved.data.current.version;
+      storeWriteLocal(doc, saved.data.current.data);
+      return saved.data.current.data;
+    }
+  }
+  return initial;
+}
+
+// Save the whole document. Saves to one document go out in order, each
+// based on the version the previous one returned. { restore: true } marks
+// putting back an older version, which the server limits by role. The
+// local copy only changes once the server has taken the save, so a refused
+// one can't come back as this device's data when the server is down.
+function storeSave(name, data, { restore = false } = {}) {
+  const doc = storeDocs[name];
+  if (doc.version === null) {
+    storeWriteLocal(doc, data);
+    return Promise.resolve(false);
+  }
+
+  const generation = doc.generation;
+  doc.queue = doc.queue.then(async () => {
+    // Made before a conflict was resolved; would undo the other device's edit
+    if (generation !== doc.generation) return false;
+    const body = { version: doc.version, data };
+    if (restore) body.restore = true;
+    let res;
+    try {
+      res = await storeRequest(name, 'PUT', body);
+    } catch (err) {
+      doc.onError(`Not saved to the server: ${err.message}`);
+      return false;
+    }
+    if (res.ok) {
+      doc.version = res.data.version;
+      storeWriteLocal(doc, data);
+      return true;
+    }
+    if (res.status === 409) {
+      doc.generation++;
+      doc.version = res.data.current.version;
+      storeWriteLocal(doc, res.data.current.data);
+      doc.onConflict(res.data.current.data);
+      return false;
+    }
+    doc.onError(res.data?.error || `Not saved (server error ${res.status})`);
+    return false;
+  });
+  return doc.queue;
+}
+
+// Delete the document on the server (e.g. back to the default template)
+function storeReset(name) {
+  const doc = storeDocs[name];
+  if (doc.version === null) {
+    storeWriteLocal(doc, null);
+    return Promise.resolve(true);
+  }
+
+  doc.queue = doc.queue.then(async () => {
+    const res = await storeRequest(name, 'DELETE', null, `?version=${doc.version}`)
+      .catch(err => ({ ok: false, data: { error: err.message } }));
+    if (res.ok) {
+      doc.version = 0;
+      storeWriteLocal(doc, null);
+      return true;
+    }
+    if (res.status === 409) {
+      doc.generation++;
+      doc.version = res.data.current.version;
+      storeWriteLocal(doc, res.data.current.data);
+      doc.onConflict(res.data.current.data);
+      return false;
+    }
+    doc.onError(res.data?.error || `Not reset (server error ${res.status})`);
+    return false;
+  });
+  return doc.queue;
+}
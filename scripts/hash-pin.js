@@ -0,0 +1,14 @@
+#!/usr/bin/env node
+// scripts/hash-pin.js — hash a staff PIN or password for STAFF_ACCOUNTS
+// Usage: node scripts/hash-pin.js 4821
+// Paste the output as the account's "hash" so no plain PINs sit in env vars.
+
+const { hashSecret } = require('../lib/auth');
+
+const secret = process.argv[2];
+if (!secret) {
+  console.error('Usage: node scripts/hash-pin.js <pin-or-password>');
+  process.exit(1);
+}
+
+console.log(hashSecret(secret));
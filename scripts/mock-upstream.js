@@ -0,0 +1,496 @@
+#!/usr/bin/env node
+// scripts/mock-upstream.js — local stand-in for the AppSheet and Shopify APIs
+// Serves the calls the app makes, from the fixture files, so api/orders.js,
+// api/shopify-orders.js and fulfillment run end to end with no credentials or
+// network — and `npm run smoke` (scripts/smoke-upstream.js) checks the
+// normalizers, joins and status writes against real HTTP answers.
+//
+//   node scripts/mock-upstream.js [port] [fixtures dir]
+//
+//   port           default 4010 (or MOCK_PORT)
+//   fixtures dir   default fixtures/ — customer-orders.json,
+//                  bakery-products-ordered.json and shopify-orders.json
+//                  ($DAY+N dates work as in demo mode)
+//
+// Point the app at it in .env.local (any non-placeholder credentials do):
+//
+//   APPSHEET_APP_ID=mock-app
+//   APPSHEET_API_KEY=mock-key
+//   APPSHEET_BASE_URL=http://localhost:4010
+//   SHOPIFY_STORE_DOMAIN=mock.myshopify.com
+//   SHOPIFY_CLIENT_ID=mock-client
+//   SHOPIFY_CLIENT_SECRET=mock-secret
+//   SHOPIFY_BASE_URL=http://localhost:4010
+//
+// AppSheet:  POST /api/v2/apps/:appId/tables/:table/Action
+//            Find (with or without a Selector), Add, Edit
+// Shopify:   POST /admin/oauth/access_token            client credentials
+//            GET  /admin/api/:version/orders.json      status, tag, name,
+//                 created_at_min/max, updated_at_min, limit; page_info cursors
+//            GET  /admin/api/:version/orders/:id/fulfillment_orders.json
+//            POST /admin/api/:version/fulfillments.json
+// Control:   POST /__mock/reset                        reload the fixtures
+//            POST /__mock/fail { service, status, times }
+//                 answer the next `times` calls to appsheet or shopify with
+//                 `status` (e.g. 429 or 503) to exercise retries and errors
+//
+//   MOCK_APPSHEET_KEY       only accept this ApplicationAccessKey
+//   MOCK_SHOPIFY_SECRET     only accept this client secret
+//   MOCK_PAGE_SIZE          most orders per page, below Shopify's 250 (default
+//                           250; set it low to exercise pagination)
+//
+// In a test: const { createMockUpstream } = require('./scripts/mock-upstream');
+//            const mock = createMockUpstream(); mock.listen(0, …)
+
+const crypto = require('crypto');
+const fs     = require('fs');
+const http   = require('http');
+const path   = require('path');
+const url    = require('url');
+
+const { resolveDates } = require('../lib/demo');
+
+const DEFAULT_PORT = 4010;
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+// Table name → fixture and key column; names follow the app's settings
+const APPSHEET_TABLES = {
+  [process.env.APPSHEET_TABLE_NAME || 'Customer Orders']:
+    { file: 'customer-orders.json', key: 'OrderID' },
+  [process.env.APPSHEET_LINE_ITEMS_TABLE || 'Bakery Products Ordered']:
+    { file: 'bakery-products-ordered.json', key: '_RowNumber' },
+};
+const SHOPIFY_FILE = 'shopify-orders.json';
+
+// ----------------------------------------------------------------
+// AppSheet Selector expressions
+// ----------------------------------------------------------------
+// The subset lib/order-filters.js writes: FILTER("table", cond) where cond
+// uses AND, OR, NOT, IN/LIST, CONTAINS, DATE("MM/DD/YYYY"), [Column] and
+// = <> < > <= >=. Anything else is rejected the way AppSheet would.
+
+function tokenize(text) {
+  const tokens = [];
+  const re = /\s*(?:("(?:[^"])*")|(\[[^\]]+\])|(-?\d+(?:\.\d+)?)|(<>|<=|>=|=|<|>)|([(),])|([A-Za-z_][\w.]*))/y;
+  let m;
+  while (re.lastIndex < text.length) {
+    const at = re.lastIndex;
+    m = re.exec(text);
+    if (!m) {
+      if (/^\s*$/.test(text.slice(at))) break;
+      throw new Error(`Selector syntax error at "${text.slice(at, at + 20)}"`);
+    }
+    if (m[1]) tokens.push({ type: 'string', value: m[1].slice(1, -1) });
+    else if (m[2]) tokens.push({ type: 'column', value: m[2].slice(1, -1) });
+    else if (m[3]) tokens.push({ type: 'number', value: parseFloat(m[3]) });
+    else if (m[4]) tokens.push({ type: 'op', value: m[4] });
+    else if (m[5]) tokens.push({ type: m[5] });
+    else tokens.push({ type: 'name', value: m[6].toUpperCase() });
+  }
+  return tokens;
+}
+
+// Tokens → a tree of { call, args } / { column } / { literal } / { op, left, right }
+function parseSelector(text) {
+  const tokens = tokenize(text);
+  let i = 0;
+  const peek = () => tokens[i];
+  const expect = type => {
+    const tok = tokens[i++];
+    if (!tok || tok.type !== type) throw new Error(`Selector syntax error: expected ${type}`);
+    return tok;
+  };
+
+  function term() {
+    const tok = tokens[i++];
+    if (!tok) throw new Error('Selector syntax error: unexpected end');
+    if (tok.type === 'string' || tok.type === 'number') return { literal: tok.value };
+    if (tok.type === 'column') return { column: tok.value };
+    if (tok.type === '(') {
+      const inner = expression();
+      expect(')');
+      return inner;
+    }
+    if (tok.type === 'name') {
+      if (tok.value === 'TRUE' || tok.value === 'FALSE') return { literal: tok.value === 'TRUE' };
+      expect('(');
+      const args = [];
+      if (peek()?.type !== ')') {
+        args.push(expression());
+        while (peek()?.type === ',') {
+          i++;
+          args.push(expression());
+        }
+      }
+      expect(')');
+      return { call: tok.value, args };
+    }
+    throw new Error(`Selector syntax error near "${tok.value ?? tok.type}"`);
+  }
+
+  function expression() {
+    const left = term();
+    if (peek()?.type === 'op') {
+      const op = tokens[i++].value;
+      return { op, left, right: term() };
+    }
+    return left;
+  }
+
+  const tree = expression();
+  if (i < tokens.length) throw new Error('Selector syntax error: trailing input');
+  return tree;
+}
+
+// MM/DD/YYYY or YYYY-MM-DD → YYYY-MM-DD, else null
+function isoDate(value) {
+  const text = String(value ?? '').trim();
+  let m = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+  if (m) return `${m[3]}-${m[1].padStart(2, '0')}-${m[2].padStart(2, '0')}`;
+  m = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  return m ? `${m[1]}-${m[2]}-${m[3]}` : null;
+}
+
+// AppSheet text comparisons ignore case; dates compare as dates
+function compare(a, b) {
+  if (a?.date || b?.date) {
+    const x = a?.date || isoDate(a);
+    const y = b?.date || isoDate(b);
+    if (!x || !y) return NaN;
+    return x < y ? -1 : x > y ? 1 : 0;
+  }
+  const na = Number(a);
+  const nb = Number(b);
+  if (a !== '' && b !== '' && Number.isFinite(na) && Number.isFinite(nb)) return na - nb;
+  return String(a ?? '').toLowerCase().localeCompare(String(b ?? '').toLowerCase());
+}
+
+function evaluate(node, row) {
+  if ('literal' in node) return node.literal;
+  if ('column' in node) return row[node.column] ?? '';
+  if (node.op) {
+    const c = compare(evaluate(node.left, row), evaluate(node.right, row));
+    if (Number.isNaN(c)) return false;
+    switch (node.op) {
+      case '=':  return c === 0;
+      case '<>': return c !== 0;
+      case '<':  return c < 0;
+      case '>':  return c > 0;
+      case '<=': return c <= 0;
+      case '>=': return c >= 0;
+    }
+  }
+  const args = node.args || [];
+  switch (node.call) {
+    case 'AND':      return args.every(a => evaluate(a, row));
+    case 'OR':       return args.some(a => evaluate(a, row));
+    case 'NOT':      return !evaluate(args[0], row);
+    case 'LIST':     return args.map(a => evaluate(a, row));
+    case 'IN':       return evaluate(args[1], row).some(v => compare(evaluate(args[0], row), v) === 0);
+    case 'CONTAINS': return String(evaluate(args[0], row)).toLowerCase()
+      .includes(String(evaluate(args[1], row)).toLowerCase());
+    case 'DATE': {
+      const date = isoDate(evaluate(args[0], row));
+      if (!date) throw new Error(`Selector DATE() needs MM/DD/YYYY, got "${evaluate(args[0], row)}"`);
+      return { date };
+    }
+  }
+  throw new Error(`Selector function ${node.call}() is not supported by the mock`);
+}
+
+// FILTER("table", cond) → the matching rows
+function applySelector(selector, tableName, rows) {
+  const tree = parseSelector(selector);
+  if (tree.call !== 'FILTER' || tree.args.length !== 2) {
+    throw new Error('Selector must be FILTER("table", condition)');
+  }
+  const table = evaluate(tree.args[0], {});
+  if (table !== tableName) throw new Error(`Selector names table "${table}", not "${tableName}"`);
+  return rows.filter(row => evaluate(tree.args[1], row));
+}
+
+// ----------------------------------------------------------------
+// State
+// ----------------------------------------------------------------
+function readFixture(dir, file, format) {
+  return resolveDates(JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')), format);
+}
+
+function loadState(fixturesDir) {
+  const tables = {};
+  for (const [name, { file }] of Object.entries(APPSHEET_TABLES)) {
+    tables[name] = readFixture(fixturesDir, file, 'us');
+  }
+  return {
+    tables,
+    shopifyOrders: readFixture(fixturesDir, SHOPIFY_FILE, 'iso'),
+    tokens: new Set(),
+    failures: { appsheet: [], shopify: [] },
+    fulfillmentId: 1,
+  };
+}
+
+// ----------------------------------------------------------------
+// HTTP helpers
+// ----------------------------------------------------------------
+function send(res, status, body, headers = {}) {
+  const text = typeof body === 'string' ? body : JSON.stringify(body);
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(text);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', c => chunks.push(c));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+function parseJson(text) {
+  try {
+    return text ? JSON.parse(text) : {};
+  } catch {
+    return null;
+  }
+}
+
+// A queued /__mock/fail answer for this service, if any
+function takeFailure(state, service) {
+  const queue = state.failures[service];
+  return queue.length ? queue.shift() : null;
+}
+
+// ----------------------------------------------------------------
+// AppSheet
+// ----------------------------------------------------------------
+async function appsheetAction(state, req, res, tableName) {
+  const key = req.headers['applicationaccesskey'];
+  if (!key || (process.env.MOCK_APPSHEET_KEY && key !== process.env.MOCK_APPSHEET_KEY)) {
+    return send(res, 403, { error: 'Invalid ApplicationAccessKey' });
+  }
+  const rows = state.tables[tableName];
+  if (!rows) return send(res, 404, { error: `Table '${tableName}' not found` });
+
+  const payload = parseJson(await readBody(req));
+  if (!payload) return send(res, 400, { error: 'Request body is not valid JSON' });
+  const { key: keyColumn } = APPSHEET_TABLES[tableName];
+  const input = Array.isArray(payload.Rows) ? payload.Rows : [];
+
+  switch (payload.Action) {
+    case 'Find': {
+      const selector = payload.Properties?.Selector;
+      try {
+        return send(res, 200, selector ? applySelector(selector, tableName, rows) : rows);
+      } catch (err) {
+        return send(res, 400, { error: err.message });
+      }
+    }
+    case 'Add': {
+      const added = input.map(row => {
+        const next = { ...row, _RowNumber: Math.max(1, ...rows.map(r => r._RowNumber || 0)) + 1 };
+        rows.push(next);
+        return next;
+      });
+      return send(res, 200, { Rows: added });
+    }
+    case 'Edit': {
+      const edited = [];
+      for (const row of input) {
+        const target = rows.find(r => String(r[keyColumn]) === String(row[keyColumn]));
+        if (!target) return send(res, 400, { error: `No row in '${tableName}' with ${keyColumn} ${row[keyColumn]}` });
+        Object.assign(target, row);
+        edited.push(target);
+      }
+      return send(res, 200, { Rows: edited });
+    }
+  }
+  return send(res, 400, { error: `Action '${payload.Action}' is not supported by the mock` });
+}
+
+// ----------------------------------------------------------------
+// Shopify
+// ----------------------------------------------------------------
+async function shopifyToken(state, req, res) {
+  const form = new URLSearchParams(await readBody(req));
+  const secret = form.get('client_secret');
+  if (form.get('grant_type') !== 'client_credentials' || !form.get('client_id') || !secret ||
+      (process.env.MOCK_SHOPIFY_SECRET && secret !== process.env.MOCK_SHOPIFY_SECRET)) {
+    return send(res, 400, { error: 'invalid_client', error_description: 'Client authentication failed' });
+  }
+  const token = `mock_${crypto.randomBytes(12).toString('hex')}`;
+  state.tokens.add(token);
+  return send(res, 200, { access_token: token, scope: 'read_orders,write_fulfillments', expires_in: 86399 });
+}
+
+function hasTag(order, tag) {
+  return String(order.tags || '').split(',').map(t => t.trim().toLowerCase()).includes(tag.toLowerCase());
+}
+
+function matchesQuery(order, q) {
+  const status = q.status || 'open';
+  if (status === 'open' && (order.closed_at || order.cancelled_at)) return false;
+  if (status === 'closed' && !order.closed_at) return false;
+  if (status === 'cancelled' && !order.cancelled_at) return false;
+  if (q.tag && !hasTag(order, q.tag)) return false;
+  if (q.name && !String(order.name).startsWith(q.name)) return false;
+  const created = new Date(order.created_at);
+  if (q.created_at_min && created < new Date(q.created_at_min)) return false;
+  if (q.created_at_max && created > new Date(q.created_at_max)) return false;
+  if (q.updated_at_min && new Date(order.updated_at) < new Date(q.updated_at_min)) return false;
+  return true;
+}
+
+// page_info carries the filters and position, as Shopify's opaque cursor does
+function encodeCursor(cursor) {
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+function decodeCursor(pageInfo) {
+  try {
+    return JSON.parse(Buffer.from(pageInfo, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function listOrders(state, req, res, query, version) {
+  const pageSize = Math.min(parseInt(process.env.MOCK_PAGE_SIZE, 10) || 250, 250);
+  const limit = Math.min(parseInt(query.limit, 10) || 50, pageSize);
+  let filters = query;
+  let offset = 0;
+  if (query.page_info) {
+    const cursor = decodeCursor(query.page_info);
+    if (!cursor) return send(res, 400, { errors: { page_info: 'Invalid value.' } });
+    ({ filters, offset } = cursor);
+  }
+
+  const matching = state.shopifyOrders.filter(o => matchesQuery(o, filters));
+  const page = matching.slice(offset, offset + limit);
+  const headers = {};
+  if (offset + limit < matching.length) {
+    const next = `http://${req.headers.host}/admin/api/${version}/orders.json?` +
+      new URLSearchParams({ limit: String(limit), page_info: encodeCursor({ filters, offset: offset + limit }) });
+    headers.Link = `<${next}>; rel="next"`;
+  }
+  return send(res, 200, { orders: page }, headers);
+}
+
+function fulfillmentOrdersOf(order) {
+  const done = order.fulfillment_status === 'fulfilled';
+  return [{
+    id: order.id * 10 + 1,
+    order_id: order.id,
+    status: done ? 'closed' : 'open',
+    supported_actions: done ? [] : ['create_fulfillment'],
+  }];
+}
+
+async function createFulfillment(state, req, res) {
+  const body = parseJson(await readBody(req));
+  const groups = body?.fulfillment?.line_items_by_fulfillment_order;
+  if (!Array.isArray(groups) || groups.length === 0) {
+    return send(res, 422, { errors: { line_items_by_fulfillment_order: ['must be present'] } });
+  }
+  const orders = groups.map(g => state.shopifyOrders.find(o =>
+    fulfillmentOrdersOf(o).some(fo => fo.id === g.fulfillment_order_id)));
+  if (orders.some(o => !o || o.fulfillment_status === 'fulfilled')) {
+    return send(res, 422, { errors: ['Fulfillment order is not open'] });
+  }
+  const now = new Date().toISOString();
+  orders.forEach(o => {
+    o.fulfillment_status = 'fulfilled';
+    o.updated_at = now;
+  });
+  return send(res, 201, {
+    fulfillment: { id: state.fulfillmentId++, order_id: orders[0].id, status: 'success', created_at: now },
+  });
+}
+
+async function shopifyApi(state, req, res, rest, query) {
+  if (!state.tokens.has(req.headers['x-shopify-access-token'])) {
+    return send(res, 401, { errors: '[API] Invalid API key or access token (unrecognized login or wrong password)' });
+  }
+  const [version, ...parts] = rest.split('/');
+  const route = parts.join('/');
+
+  if (req.method === 'GET' && route === 'orders.json') return listOrders(state, req, res, query, version);
+
+  const foMatch = route.match(/^orders\/(\d+)\/fulfillment_orders\.json$/);
+  if (req.method === 'GET' && foMatch) {
+    const order = state.shopifyOrders.find(o => String(o.id) === foMatch[1]);
+    if (!order) return send(res, 404, { errors: 'Not Found' });
+    return send(res, 200, { fulfillment_orders: fulfillmentOrdersOf(order) });
+  }
+
+  if (req.method === 'POST' && route === 'fulfillments.json') return createFulfillment(state, req, res);
+
+  return send(res, 404, { errors: 'Not Found' });
+}
+
+// ----------------------------------------------------------------
+// Server
+// ----------------------------------------------------------------
+function createMockUpstream({ fixturesDir = FIXTURES_DIR } = {}) {
+  let state = loadState(fixturesDir);
+
+  const server = http.createServer(async (req, res) => {
+    const parsed = url.parse(req.url);
+    const pathname = parsed.pathname;
+    const query = Object.fromEntries(new URLSearchParams(parsed.query || ''));
+
+    try {
+      if (req.method === 'POST' && pathname === '/__mock/reset') {
+        state = loadState(fixturesDir);
+        return send(res, 200, { ok: true });
+      }
+      if (req.method === 'POST' && pathname === '/__mock/fail') {
+        const { service, status = 503, times = 1 } = parseJson(await readBody(req)) || {};
+        if (!state.failures[service]) return send(res, 400, { error: 'service must be appsheet or shopify' });
+        for (let n = 0; n < times; n++) state.failures[service].push(status);
+        return send(res, 200, { ok: true, queued: state.failures[service].length });
+      }
+
+      const appsheet = pathname.match(/^\/api\/v2\/apps\/[^/]+\/tables\/([^/]+)\/Action$/);
+      const shopify  = pathname.match(/^\/admin\/(?:oauth\/access_token|api\/(.+))$/);
+      const service  = appsheet ? 'appsheet' : shopify ? 'shopify' : null;
+      if (!service) return send(res, 404, { error: 'Not found' });
+
+      const failure = takeFailure(state, service);
+      if (failure) {
+        const headers = failure === 429 ? { 'Retry-After': '1' } : {};
+        return send(res, failure, { error: `Mock failure (${failure})` }, headers);
+      }
+
+      if (appsheet) {
+        if (req.method !== 'POST') return send(res, 405, { error: 'Method not allowed' });
+        return await appsheetAction(state, req, res, decodeURIComponent(appsheet[1]));
+      }
+      if (pathname === '/admin/oauth/access_token') {
+        if (req.method !== 'POST') return send(res, 405, { error: 'Method not allowed' });
+        return await shopifyToken(state, req, res);
+      }
+      return await shopifyApi(state, req, res, shopify[1], query);
+    } catch (err) {
+      console.error('[mock]', err);
+      return send(res, 500, { error: err.message });
+    }
+  });
+
+  server.state = () => state;
+  return server;
+}
+
+if (require.main === module) {
+  const [port = process.env.MOCK_PORT || DEFAULT_PORT, fixturesDir = FIXTURES_DIR] = process.argv.slice(2);
+  createMockUpstream({ fixturesDir: path.resolve(fixturesDir) }).listen(port, () => {
+    console.log(`\n  Mock AppSheet + Shopify on http://localhost:${port}`);
+    console.log(`  Fixtures: ${path.resolve(fixturesDir)}\n`);
+  });
+}
+
+module.exports = {
+  createMockUpstream,
+  applySelector,
+};
@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+// scripts/replay-shopify-webhook.js — send a signed Shopify webhook to the app
+// Replays a fixture order (fixtures/shopify-orders.json) the way Shopify would,
+// signed with the same secret the receiver checks, for local testing.
+//
+//   node scripts/replay-shopify-webhook.js [topic] [order name] [url]
+//
+//   topic       orders/create | orders/updated | orders/cancelled | orders/fulfilled
+//               (default orders/updated)
+//   order name  fixture order to send, e.g. #4817 (default: the first one)
+//   url         default http://localhost:3000/api/webhooks/shopify
+//
+// The secret comes from SHOPIFY_WEBHOOK_SECRET / SHOPIFY_CLIENT_SECRET in the
+// environment or .env.local.
+
+const crypto = require('crypto');
+const fs     = require('fs');
+const path   = require('path');
+const fetch  = require('node-fetch');
+
+const envFile = path.join(__dirname, '..', '.env.local');
+if (fs.existsSync(envFile)) {
+  fs.readFileSync(envFile, 'utf8').split('\n').forEach(line => {
+    const m = line.match(/^([^#=]+)=(.*)$/);
+    if (m && !process.env[m[1].trim()]) process.env[m[1].trim()] = m[2].trim();
+  });
+}
+
+const { demoRows } = require('../lib/demo');
+
+const [topic = 'orders/updated', name, target = 'http://localhost:3000/api/webhooks/shopify'] = process.argv.slice(2);
+
+async function main() {
+  const secret = process.env.SHOPIFY_WEBHOOK_SECRET || process.env.SHOPIFY_CLIENT_SECRET;
+  if (!secret) throw new Error('Set SHOPIFY_WEBHOOK_SECRET (or SHOPIFY_CLIENT_SECRET) to sign the payload');
+
+  const orders = demoRows('shopify');
+  const order  = name ? orders.find(o => o.name === name || o.name === `#${name}`) : orders[0];
+  if (!order) throw new Error(`No fixture order named ${name}`);
+
+  const now = new Date().toISOString();
+  const payload = { ...order, updated_at: now };
+  if (topic === 'orders/cancelled') payload.cancelled_at = now;
+  if (topic === 'orders/fulfilled') payload.fulfillment_status = 'fulfilled';
+
+  const body = JSON.stringify(payload);
+  const hmac = crypto.createHmac('sha256', secret).update(body).digest('base64');
+
+  const res = await fetch(target, {
+    method: 'POST',
+    headers: {
+      'Content-Type':          'application/json',
+      'X-Shopify-Topic':       topic,
+      'X-Shopify-Hmac-Sha256': hmac,
+      'X-Shopify-Shop-Domain': process.env.SHOPIFY_STORE_DOMAIN || 'demo.myshopify.com',
+    },
+    body,
+  });
+  console.log(`${topic} ${order.name} → ${res.status} ${await res.text()}`);
+  if (!res.ok) process.exitCode = 1;
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
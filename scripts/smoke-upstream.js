@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+// scripts/smoke-upstream.js — end-to-end smoke test against the mock upstream
+// Starts scripts/mock-upstream.js and the local server (server.js) pointed at
+// it, then checks the order endpoints over real HTTP: the AppSheet join and
+// filters, a status PATCH landing in AppSheet, Shopify pagination, and a retry
+// after an upstream 503. Exits non-zero on the first failure.
+//
+//   npm run smoke
+//
+// Everything it needs is set here (auth off, data in a temp folder), and
+// those settings win over .env.local, so real credentials are never used.
+
+const assert = require('assert');
+const fs     = require('fs');
+const net    = require('net');
+const os     = require('os');
+const path   = require('path');
+const { spawn } = require('child_process');
+const fetch  = require('node-fetch');
+
+const { createMockUpstream } = require('./mock-upstream');
+
+const ROOT = path.join(__dirname, '..');
+const START_TIMEOUT_MS = 10 * 1000;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer().listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    }).on('error', reject);
+  });
+}
+
+// Run server.js and wait for its "App running" line
+function startApp(port, env) {
+  const child = spawn(process.execPath, [path.join(ROOT, 'server.js')], {
+    env: { ...process.env, ...env, PORT: String(port) },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  let output = '';
+  child.stderr.on('data', c => { output += c; });
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`server.js didn't start:\n${output}`)), START_TIMEOUT_MS);
+    child.stdout.on('data', c => {
+      output += c;
+      if (output.includes('App running')) {
+        clearTimeout(timer);
+        resolve(child);
+      }
+    });
+    child.on('exit', code => {
+      clearTimeout(timer);
+      reject(new Error(`server.js exited (${code}):\n${output}`));
+    });
+  });
+}
+
+async function main() {
+  const mock = createMockUpstream();
+  await new Promise(resolve => mock.listen(0, resolve));
+  const upstream = `http://localhost:${mock.address().port}`;
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bsb-smoke-'));
+  const appPort = await freePort();
+  const base = `http://localhost:${appPort}`;
+
+  // Two Shopify orders per page, so the cursor is followed
+  process.env.MOCK_PAGE_SIZE = '2';
+
+  let app;
+  const checks = [];
+  const check = (name, fn) => checks.push({ name, fn });
+
+  const get = async pathname => {
+    const res = await fetch(base + pathname);
+    const body = await res.json();
+    assert.strictEqual(res.status, 200, `${pathname} → ${res.status} ${JSON.stringify(body)}`);
+    return body;
+  };
+
+  check('GET /api/orders joins line items', async () => {
+    const orders = await get('/api/orders?refresh=1');
+    assert.ok(orders.length > 0, 'no orders');
+    const order = orders.find(o => o['OrderID'] === 'A1F3C9');
+    assert.ok(order, 'A1F3C9 missing');
+    assert.ok(order['Line Items'].length > 0, 'A1F3C9 has no line items');
+  });
+
+  check('GET /api/orders?status= filters in AppSheet', async () => {
+    const orders = await get('/api/orders?status=Ready&refresh=1');
+    assert.ok(orders.length > 0, 'no Ready orders');
+    assert.ok(orders.every(o => o['Status'] === 'Ready'), 'an order that isn\'t Ready came back');
+  });
+
+  check('PATCH /api/orders/:id writes the status to AppSheet', async () => {
+    const res = await fetch(`${base}/api/orders/B7D201`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ Status: 'Ready' }),
+    });
+    assert.strictEqual(res.status, 200, `PATCH → ${res.status} ${await res.text()}`);
+    const row = mock.state().tables['Customer Orders'].find(o => o['OrderID'] === 'B7D201');
+    assert.strictEqual(row['Status'], 'Ready', 'the mock table wasn\'t edited');
+    const order = await get('/api/orders/B7D201');
+    assert.strictEqual(order['Status'], 'Ready');
+  });
+
+  check('GET /api/shopify-orders follows page_info cursors', async () => {
+    const orders = await get('/api/shopify-orders?refresh=1');
+    const expected = mock.state().shopifyOrders.length;
+    assert.ok(expected > 2, 'fixtures need more than one page');
+    assert.strictEqual(new Set(orders.map(o => o['OrderID'])).size, orders.length, 'duplicate orders across pages');
+    assert.ok(orders.length > 2, `only ${orders.length} orders — stopped after the first page?`);
+  });
+
+  check('an AppSheet 503 is retried', async () => {
+    await fetch(`${upstream}/__mock/fail`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ service: 'appsheet', status: 503, times: 1 }),
+    });
+    const orders = await get('/api/orders?refresh=1');
+    assert.ok(orders.length > 0);
+  });
+
+  let failed = 0;
+  try {
+    app = await startApp(appPort, {
+      AUTH_DISABLED:         '1',
+      DEMO_MODE:             '',
+      DATA_DIR:              dataDir,
+      APPSHEET_APP_ID:       'mock-app',
+      APPSHEET_API_KEY:      'mock-key',
+      APPSHEET_BASE_URL:     upstream,
+      APPSHEET_RETRIES:      '2',
+      SHOPIFY_STORE_DOMAIN:  'mock.myshopify.com',
+      SHOPIFY_CLIENT_ID:     'mock-client',
+      SHOPIFY_CLIENT_SECRET: 'mock-secret',
+      SHOPIFY_BASE_URL:      upstream,
+    });
+    for (const { name, fn } of checks) {
+      try {
+        await fn();
+        console.log(`  ✓ ${name}`);
+      } catch (err) {
+        failed++;
+        console.log(`  ✗ ${name}\n      ${err.message}`);
+      }
+    }
+  } finally {
+    if (app) app.kill();
+    mock.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+
+  console.log(failed ? `\n  ${failed} of ${checks.length} checks failed\n` : `\n  All ${checks.length} checks passed\n`);
+  process.exitCode = failed ? 1 : 0;
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -3,16 +3,22 @@ const http = require('http');
 const fs   = require('fs');
 const path = require('path');
 const url  = require('url');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { pipeline } = require('stream/promises');
 
-// Load .env.local
+// Load .env.local; variables already set in the environment win
 const envFile = path.join(__dirname, '.env.local');
 if (fs.existsSync(envFile)) {
   fs.readFileSync(envFile, 'utf8').split('\n').forEach(line => {
     const m = line.match(/^([^#=]+)=(.*)$/);
-    if (m) process.env[m[1].trim()] = m[2].trim();
+    if (m && !(m[1].trim() in process.env)) process.env[m[1].trim()] = m[2].trim();
   });
 }
 
+// Required after .env.local so it sees the settings
+const { getSession, canOpenPage } = require('./lib/auth');
+
 const MIME = {
   '.html': 'text/html; charset=utf-8',
   '.js':   'application/javascript; charset=utf-8',
@@ -23,78 +29,424 @@ const MIME = {
   '.svg':  'image/svg+xml',
 };
 
-// Add Express-style helpers to raw Node res object
+// Add the Vercel/Express-style helpers to the raw Node res object
 function wrapRes(res) {
   res.status = (code) => { res.statusCode = code; return res; };
   res.json   = (data) => {
     if (!res.getHeader('Content-Type')) res.setHeader('Content-Type', 'application/json');
     res.end(JSON.stringify(data));
   };
+  res.send   = (body) => {
+    if (body !== null && typeof body === 'object' && !Buffer.isBuffer(body)) return res.json(body);
+    if (!res.getHeader('Content-Type')) {
+      res.setHeader('Content-Type', Buffer.isBuffer(body) ? 'application/octet-stream' : 'text/html; charset=utf-8');
+    }
+    res.end(body);
+  };
+  res.redirect = (status, location) => {
+    if (location === undefined) [status, location] = [307, status];
+    res.writeHead(status, { Location: location });
+    res.end();
+  };
   res.end = res.end.bind(res);
   return res;
 }
 
-const server = http.createServer(async (req, res) => {
-  wrapRes(res);
-  const parsed   = url.parse(req.url);
-  const pathname = parsed.pathname.replace(/\/$/, '') || '/';
+// Bodies over this get a 413 rather than filling the server's memory
+const MAX_BODY_BYTES = 1024 * 1024;
 
-  // ── API routes ──────────────────────────────────────────────
-  if (pathname.startsWith('/api/')) {
-    // /api/orders/:id
-    const idMatch = pathname.match(/^\/api\/orders\/(.+)$/);
-    if (idMatch) {
-      req.query = { id: decodeURIComponent(idMatch[1]) };
+function bodyTooLarge() {
+  const err = new Error(`Request body over ${MAX_BODY_BYTES / 1024 / 1024} MB`);
+  err.status = 413;
+  return err;
+}
+
+// Buffer the request body; keep the raw bytes in req.rawBody and parse it into
+// req.body the way Vercel does: JSON → object, urlencoded form → object,
+// anything else → string
+function readBody(req) {
+  if (req.method === 'GET' || req.method === 'HEAD') return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    if (parseInt(req.headers['content-length'], 10) > MAX_BODY_BYTES) {
+      req.resume();
+      return reject(bodyTooLarge());
+    }
+    const chunks = [];
+    let size = 0;
+    req.on('data', c => {
+      size += c.length;
+      if (size <= MAX_BODY_BYTES) return chunks.push(c);
+      // Keep draining so the 413 can be sent, but stop keeping the bytes
+      chunks.length = 0;
+      reject(bodyTooLarge());
+    });
+    req.on('error', reject);
+    req.on('end', () => {
+      if (size > MAX_BODY_BYTES) return;
+      req.rawBody = Buffer.concat(chunks);
+      const type = req.headers['content-type'] || '';
+      const text = req.rawBody.toString('utf8');
       try {
-        const handler = require('./api/orders/[id].js');
-        return handler(req, res);
+        if (type.includes('application/json') && text) req.body = JSON.parse(text);
+        else if (type.includes('application/x-www-form-urlencoded')) req.body = parseQuery(text);
+        else req.body = text;
+        resolve();
       } catch (e) {
-        res.writeHead(500, { 'Content-Type': 'application/json' });
-        return res.end(JSON.stringify({ error: e.message }));
+        reject(e);
       }
+    });
+  });
+}
+
+// ?a=1&b=2&b=3 → { a: '1', b: ['2', '3'] } (repeated keys become arrays, as on Vercel)
+function parseQuery(qs) {
+  const query = {};
+  for (const [key, value] of new URLSearchParams(qs || '')) {
+    if (!(key in query)) query[key] = value;
+    else query[key] = [].concat(query[key], value);
+  }
+  return query;
+}
+
+// ----------------------------------------------------------------
+// API route discovery — the files in api/ are the routes, as on Vercel:
+//   api/orders.js            /api/orders
+//   api/orders/[id].js       /api/orders/:id        → req.query.id
+//   api/store/index.js       /api/store
+//   api/docs/[...path].js    /api/docs/a/b          → req.query.path = ['a', 'b']
+//   api/calendar.ics.js      /api/calendar.ics
+// Files and folders starting with _ or . aren't routes (shared helpers).
+// Exact segments win over [param], and [param] over [...rest].
+// ----------------------------------------------------------------
+const API_DIR = path.join(__dirname, 'api');
+
+function discoverApiRoutes(dir = API_DIR, prefix = []) {
+  const routes = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (/^[_.]/.test(entry.name)) continue;
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      routes.push(...discoverApiRoutes(full, [...prefix, entry.name]));
+    } else if (entry.name.endsWith('.js')) {
+      const name = entry.name.slice(0, -3);
+      const segments = name === 'index' ? prefix : [...prefix, name];
+      routes.push({ file: full, segments: segments.map(parseSegment) });
     }
+  }
+  return routes.sort(compareRoutes);
+}
 
-    // /api/shopify-orders
-    if (pathname === '/api/shopify-orders') {
-      try {
-        const handler = require('./api/shopify-orders.js');
-        return handler(req, res);
-      } catch (e) {
-        res.writeHead(500, { 'Content-Type': 'application/json' });
-        return res.end(JSON.stringify({ error: e.message }));
+function parseSegment(segment) {
+  const rest  = segment.match(/^\[\.\.\.(.+)\]$/);
+  if (rest) return { kind: 2, name: rest[1] };
+  const param = segment.match(/^\[(.+)\]$/);
+  if (param) return { kind: 1, name: param[1] };
+  return { kind: 0, value: segment };
+}
+
+// Most specific first: compare segment kinds left to right, then length
+function compareRoutes(a, b) {
+  const n = Math.min(a.segments.length, b.segments.length);
+  for (let i = 0; i < n; i++) {
+    if (a.segments[i].kind !== b.segments[i].kind) return a.segments[i].kind - b.segments[i].kind;
+  }
+  return b.segments.length - a.segments.length;
+}
+
+const apiRoutes = discoverApiRoutes();
+
+// /api/orders/A1F3C9 → { route, params: { id: 'A1F3C9' } }, or null
+function matchApiRoute(pathname) {
+  const parts = pathname.split('/').slice(2).filter(Boolean).map(p => {
+    try {
+      return decodeURIComponent(p);
+    } catch {
+      return p;
+    }
+  });
+
+  for (const route of apiRoutes) {
+    const params = {};
+    let matched = true;
+    for (let i = 0; i < route.segments.length; i++) {
+      const seg = route.segments[i];
+      if (seg.kind === 2) {
+        if (i >= parts.length) matched = false;
+        else params[seg.name] = parts.slice(i);
+        break;
       }
+      if (i >= parts.length) { matched = false; break; }
+      if (seg.kind === 1) params[seg.name] = parts[i];
+      else if (seg.value !== parts[i]) { matched = false; break; }
     }
+    const last = route.segments[route.segments.length - 1];
+    if (matched && last?.kind !== 2 && route.segments.length !== parts.length) matched = false;
+    if (matched) return { route, params };
+  }
+  return null;
+}
 
-    // /api/orders
-    if (pathname === '/api/orders') {
-      try {
-        const handler = require('./api/orders.js');
-        return handler(req, res);
-      } catch (e) {
-        res.writeHead(500, { 'Content-Type': 'application/json' });
+// ----------------------------------------------------------------
+// Static files — public/ only, with revalidation, compression and ranges.
+// The shop's tablets reload these pages all day on weak Wi-Fi, so a repeat
+// visit should cost a 304 rather than the whole of app.js again.
+// ----------------------------------------------------------------
+const PUBLIC_DIR = path.join(__dirname, 'public');
+const PUBLIC_REAL = fs.realpathSync(PUBLIC_DIR);
+const NOT_FOUND_PAGE = path.join(PUBLIC_DIR, '404.html');
+
+// Scripts and styles aren't fingerprinted, so they're only trusted for a few
+// minutes before the browser checks back (a cheap 304 when unchanged). Pages
+// always check back so a deploy or a logout shows up at once.
+const CACHE_CONTROL = {
+  '.html': 'private, no-cache',
+  '.js':   'public, max-age=300, must-revalidate',
+  '.css':  'public, max-age=300, must-revalidate',
+  '.svg':  'public, max-age=86400',
+  '.png':  'public, max-age=86400',
+  '.ico':  'public, max-age=86400',
+};
+
+// Worth compressing; images other than SVG already are
+const COMPRESSIBLE = new Set(['.html', '.js', '.css', '.json', '.svg']);
+const MIN_COMPRESS_BYTES = 1024;
+
+// Compressed copies, reused until the file changes: "<file>:<encoding>" → { tag, body }
+const compressedCache = new Map();
+
+// URL path → absolute path inside public/, or null. Decodes %-escapes before
+// resolving so "/%2e%2e/server.js" can't climb out, and refuses dotfiles.
+function resolvePublicPath(pathname) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(pathname);
+  } catch {
+    return null;
+  }
+  if (decoded.includes('\0')) return null;
+  const filePath = path.resolve(PUBLIC_DIR, '.' + path.posix.normalize('/' + decoded));
+  if (!filePath.startsWith(PUBLIC_DIR + path.sep)) return null;
+  if (path.relative(PUBLIC_DIR, filePath).split(path.sep).some(part => part.startsWith('.'))) return null;
+  return filePath;
+}
+
+// fs.Stats for a regular file that really lives in public/ (symlinks
+// included), or null
+async function statPublicFile(filePath) {
+  try {
+    const real = await fs.promises.realpath(filePath);
+    if (!real.startsWith(PUBLIC_REAL + path.sep)) return null;
+    const stat = await fs.promises.stat(real);
+    return stat.isFile() ? stat : null;
+  } catch {
+    return null;
+  }
+}
+
+function etagFor(stat, encoding) {
+  const base = `${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}`;
+  return `"${base}${encoding ? '-' + encoding : ''}"`;
+}
+
+// Has the browser's copy (If-None-Match, else If-Modified-Since) still got it?
+function isFresh(req, etag, stat) {
+  const noneMatch = req.headers['if-none-match'];
+  if (noneMatch) {
+    return noneMatch.split(',').some(tag => {
+      tag = tag.trim().replace(/^W\//, '');
+      return tag === '*' || tag === etag;
+    });
+  }
+  const since = Date.parse(req.headers['if-modified-since'] || '');
+  return !isNaN(since) && Math.floor(stat.mtimeMs / 1000) * 1000 <= since;
+}
+
+// Accept-Encoding → 'br', 'gzip' or null, honouring q=0
+function pickEncoding(header) {
+  const accepted = {};
+  String(header || '').split(',').forEach(part => {
+    const [name, ...params] = part.trim().toLowerCase().split(/\s*;\s*/);
+    if (!name) return;
+    const q = params.find(p => p.startsWith('q='));
+    accepted[name] = q ? parseFloat(q.slice(2)) || 0 : 1;
+  });
+  return ['br', 'gzip'].find(enc => (accepted[enc] ?? accepted['*'] ?? 0) > 0) || null;
+}
+
+// "bytes=0-499" → { start, end }; null to ignore the header (multiple ranges,
+// other units); false when it can't be satisfied
+function parseRange(header, size) {
+  const m = String(header).match(/^bytes=(\d*)-(\d*)$/);
+  if (!m || (m[1] === '' && m[2] === '')) return null;
+  let start, end;
+  if (m[1] === '') {
+    start = Math.max(size - Number(m[2]), 0);
+    end = size - 1;
+  } else {
+    start = Number(m[1]);
+    end = m[2] === '' ? size - 1 : Math.min(Number(m[2]), size - 1);
+  }
+  if (start >= size || start > end) return false;
+  return { start, end };
+}
+
+// If-Range: only send the part when the browser's copy is still current
+function ifRangeMatches(req, stat) {
+  const ifRange = req.headers['if-range'];
+  if (!ifRange) return true;
+  if (ifRange.startsWith('"') || ifRange.startsWith('W/')) return ifRange === etagFor(stat);
+  return ifRange === stat.mtime.toUTCString();
+}
+
+async function compressed(filePath, stat, encoding) {
+  const key = `${filePath}:${encoding}`;
+  const tag = etagFor(stat);
+  const hit = compressedCache.get(key);
+  if (hit && hit.tag === tag) return hit.body;
+
+  const data = await fs.promises.readFile(filePath);
+  const body = encoding === 'br'
+    ? await promisify(zlib.brotliCompress)(data, { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 5 } })
+    : await promisify(zlib.gzip)(data, { level: 6 });
+  compressedCache.set(key, { tag, body });
+  return body;
+}
+
+async function sendStatic(req, res, filePath, stat, status = 200) {
+  const ext = path.extname(filePath).toLowerCase();
+  const compressible = COMPRESSIBLE.has(ext) && stat.size >= MIN_COMPRESS_BYTES;
+  const range = status === 200 && req.headers.range && ifRangeMatches(req, stat)
+    ? parseRange(req.headers.range, stat.size)
+    : null;
+  // Ranges are byte offsets into the file as stored, so they're sent as-is
+  const encoding = compressible && !range ? pickEncoding(req.headers['accept-encoding']) : null;
+  const etag = etagFor(stat, encoding);
+
+  res.setHeader('Content-Type', MIME[ext] || 'application/octet-stream');
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  if (compressible) res.setHeader('Vary', 'Accept-Encoding');
+  if (status !== 200) {
+    res.setHeader('Cache-Control', 'no-cache');
+  } else {
+    res.setHeader('Cache-Control', CACHE_CONTROL[ext] || 'no-cache');
+    res.setHeader('Last-Modified', stat.mtime.toUTCString());
+    res.setHeader('ETag', etag);
+    res.setHeader('Accept-Ranges', 'bytes');
+    if (isFresh(req, etag, stat)) {
+      res.writeHead(304);
+      return res.end();
+    }
+  }
+
+  if (range === false) {
+    res.writeHead(416, { 'Content-Range': `bytes */${stat.size}` });
+    return res.end();
+  }
+
+  if (encoding) {
+    const body = await compressed(filePath, stat, encoding);
+    res.writeHead(status, { 'Content-Encoding': encoding, 'Content-Length': body.length });
+    return res.end(req.method === 'HEAD' ? undefined : body);
+  }
+
+  const { start, end } = range || { start: 0, end: stat.size - 1 };
+  if (range) {
+    res.writeHead(206, { 'Content-Range': `bytes ${start}-${end}/${stat.size}`, 'Content-Length': end - start + 1 });
+  } else {
+    res.writeHead(status, { 'Content-Length': stat.size });
+  }
+  if (req.method === 'HEAD' || stat.size === 0) return res.end();
+  // A tablet dropping off the Wi-Fi mid-file isn't worth a stack trace
+  await pipeline(fs.createReadStream(filePath, { start, end }), res).catch(() => res.destroy());
+}
+
+// Our own 404 page (public/404.html), plain text if it's missing
+async function sendNotFound(req, res) {
+  const stat = await statPublicFile(NOT_FOUND_PAGE);
+  if (!stat) {
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    return res.end('404 Not Found');
+  }
+  return sendStatic(req, res, NOT_FOUND_PAGE, stat, 404);
+}
+
+const server = http.createServer(async (req, res) => {
+  wrapRes(res);
+  const parsed   = url.parse(req.url);
+  const pathname = parsed.pathname.replace(/\/$/, '') || '/';
+
+  // ── API routes ──────────────────────────────────────────────
+  if (pathname === '/api' || pathname.startsWith('/api/')) {
+    const match = matchApiRoute(pathname);
+    if (!match) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ error: 'Not found' }));
+    }
+
+    // Vercel-style req.query: the query string plus [param] segments
+    req.query = { ...parseQuery(parsed.query), ...match.params };
+    try {
+      await readBody(req);
+    } catch (e) {
+      if (e.status === 413) {
+        res.writeHead(413, { 'Content-Type': 'application/json', Connection: 'close' });
         return res.end(JSON.stringify({ error: e.message }));
       }
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ error: 'Invalid JSON body' }));
     }
 
-    res.writeHead(404, { 'Content-Type': 'application/json' });
-    return res.end(JSON.stringify({ error: 'Not found' }));
+    try {
+      const handler = require(match.route.file);
+      return await handler(req, res);
+    } catch (e) {
+      console.error(`[server] ${req.method} ${pathname}:`, e);
+      if (res.headersSent) return res.end();
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ error: e.message }));
+    }
   }
 
   // ── Static files ─────────────────────────────────────────────
-  let filePath = path.join(__dirname, 'public', pathname === '/' ? 'index.html' : pathname);
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.writeHead(405, { Allow: 'GET, HEAD', 'Content-Type': 'text/plain' });
+    return res.end('405 Method Not Allowed');
+  }
 
-  // If path has no extension, try .html
-  if (!path.extname(filePath)) filePath += '.html';
+  try {
+    let filePath = resolvePublicPath(pathname === '/' ? '/index.html' : pathname);
+    if (filePath === null) return await sendNotFound(req, res);
 
-  if (!fs.existsSync(filePath)) {
-    res.writeHead(404, { 'Content-Type': 'text/plain' });
-    return res.end('404 Not Found: ' + pathname);
-  }
+    // If path has no extension, try .html
+    if (!path.extname(filePath)) filePath += '.html';
 
-  const ext  = path.extname(filePath).toLowerCase();
-  const mime = MIME[ext] || 'application/octet-stream';
-  res.writeHead(200, { 'Content-Type': mime });
-  res.end(fs.readFileSync(filePath));
+    // Pages need a login; scripts, styles and images don't (the login page uses them)
+    const openPage = ['login.html', '404.html'].includes(path.basename(filePath));
+    if (filePath.endsWith('.html') && !openPage) {
+      const session = getSession(req);
+      if (!session) {
+        const next = encodeURIComponent(req.url);
+        res.writeHead(302, { Location: `/login.html?next=${next}` });
+        return res.end();
+      }
+      // Management pages are limited by role (lib/auth.js PAGE_ROLES)
+      const page = '/' + path.relative(PUBLIC_DIR, filePath).split(path.sep).join('/');
+      if (!canOpenPage(session, page)) {
+        res.writeHead(403, { 'Content-Type': 'text/plain' });
+        return res.end(`403 Forbidden: ${page} is not open to the ${session.role} role`);
+      }
+    }
+
+    const stat = await statPublicFile(filePath);
+    if (!stat) return await sendNotFound(req, res);
+
+    return await sendStatic(req, res, filePath, stat);
+  } catch (e) {
+    console.error(`[server] ${req.method} ${pathname}:`, e);
+    if (res.headersSent) return res.destroy();
+    res.writeHead(500, { 'Content-Type': 'text/plain' });
+    res.end('500 Internal Server Error');
+  }
 });
 
 const PORT = process.env.PORT || 3000;
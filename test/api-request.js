@@ -0,0 +1,24 @@
+// test/api-request.js — call an api/ handler the way server.js does, without
+// a server: a plain req object in, { status, headers, body } out.
+
+const { createSessionToken } = require('../lib/auth');
+
+// callApi(handler, { method, query, body, as: { name, role } })
+async function callApi(handler, { method = 'GET', query = {}, body, headers = {}, as } = {}) {
+  const req = { method, query, body, headers: { ...headers }, socket: {} };
+  if (as) req.headers.cookie = `bsb_session=${encodeURIComponent(createSessionToken(as))}`;
+
+  const out = { status: 200, headers: {}, body: undefined };
+  const res = {
+    headersSent: false,
+    setHeader: (key, value) => { out.headers[key.toLowerCase()] = value; },
+    getHeader: key => out.headers[key.toLowerCase()],
+    status: code => { out.status = code; return res; },
+    json: data => { out.body = data; res.headersSent = true; },
+    end: data => { out.body = data; res.headersSent = true; },
+  };
+  await handler(req, res);
+  return out;
+}
+
+module.exports = { callApi };
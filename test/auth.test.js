@@ -0,0 +1,39 @@
+const test   = require('node:test');
+const assert = require('node:assert');
+
+process.env.STAFF_ACCOUNTS = JSON.stringify([{ name: 'Lee', pin: '1111', role: 'lead' }]);
+process.env.SESSION_SECRET = 'test-secret';
+delete process.env.AUTH_DISABLED;
+
+const { createSessionToken, getSession, requestOrigin } = require('../lib/auth');
+
+function request(cookie) {
+  return { headers: { cookie }, socket: {} };
+}
+
+test('getSession reads the signed session cookie', () => {
+  const token = createSessionToken({ name: 'Lee', role: 'lead' });
+  const session = getSession(request(`bsb_session=${encodeURIComponent(token)}`));
+  assert.strictEqual(session.name, 'Lee');
+  assert.strictEqual(session.role, 'lead');
+});
+
+test('a malformed cookie value does not throw', () => {
+  const token = createSessionToken({ name: 'Lee', role: 'lead' });
+  assert.strictEqual(getSession(request('other=%E0%A4%A')), null);
+  assert.strictEqual(getSession(request('bsb_session=%E0%A4%A')), null);
+  assert.strictEqual(getSession(request(`other=%E0%A4%A; bsb_session=${token}`)).name, 'Lee');
+});
+
+test('forwarded host and proto are only used behind a trusted proxy', () => {
+  const req = {
+    headers: { host: 'shop.test', 'x-forwarded-host': 'orders.bakery.test', 'x-forwarded-proto': 'https' },
+    socket: {},
+  };
+  delete process.env.VERCEL;
+  process.env.TRUST_PROXY = '0';
+  assert.strictEqual(requestOrigin(req), 'http://shop.test');
+  process.env.TRUST_PROXY = '1';
+  assert.strictEqual(requestOrigin(req), 'https://orders.bakery.test');
+  delete process.env.TRUST_PROXY;
+});
@@ -0,0 +1,49 @@
+// test/browser-script.js — run a public/ page script in a vm with a bare-bones
+// DOM, so its plain functions can be called from tests. Elements are inert
+// stubs; fetch never resolves unless the test passes one in.
+
+const fs   = require('fs');
+const path = require('path');
+const vm   = require('vm');
+
+function stubElement() {
+  return new Proxy({}, {
+    get: (target, key) => {
+      if (key in target) return target[key];
+      if (key === 'addEventListener' || key === 'appendChild' || key === 'focus') return () => {};
+      return undefined;
+    },
+  });
+}
+
+// loadScript('login.js', { url: 'https://shop.test/login.html?next=/x' })
+// → the script's global scope
+function loadScript(file, { url = 'https://shop.test/', fetch, localStorage } = {}) {
+  const location = new URL(url);
+  const store = new Map();
+  const context = {
+    URL,
+    URLSearchParams,
+    console,
+    setTimeout,
+    clearTimeout,
+    location,
+    fetch: fetch || (() => new Promise(() => {})),
+    localStorage: localStorage || {
+      getItem: key => (store.has(key) ? store.get(key) : null),
+      setItem: (key, value) => store.set(key, String(value)),
+      removeItem: key => store.delete(key),
+    },
+    document: {
+      getElementById: stubElement,
+      querySelector: stubElement,
+      addEventListener: () => {},
+    },
+  };
+  context.window = context;
+  vm.createContext(context);
+  vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'public', file), 'utf8'), context, { filename: file });
+  return context;
+}
+
+module.exports = { loadScript };
@@ -0,0 +1,27 @@
+const test   = require('node:test');
+const assert = require('node:assert');
+
+process.env.BUSINESS_TIMEZONE = 'America/Chicago';
+
+const { buildCalendar, zonedStamp } = require('../lib/calendar');
+
+test('event times are sent as UTC from the bakery\'s clock', () => {
+  assert.strictEqual(zonedStamp('2026-10-19', 9 * 60 + 30), '20261019T143000Z'); // CDT
+  assert.strictEqual(zonedStamp('2027-01-15', 9 * 60 + 30), '20270115T153000Z'); // CST
+  assert.strictEqual(zonedStamp('2026-10-19', 23 * 60 + 30), '20261020T043000Z');
+});
+
+test('times either side of a DST change use that day\'s offset', () => {
+  assert.strictEqual(zonedStamp('2026-03-08', 1 * 60), '20260308T070000Z');
+  assert.strictEqual(zonedStamp('2026-03-08', 3 * 60), '20260308T080000Z');
+  assert.strictEqual(zonedStamp('2026-11-01', 3 * 60), '20261101T090000Z');
+});
+
+test('timed events carry UTC stamps; all-day events stay dates', () => {
+  const ics = buildCalendar([
+    { 'OrderID': 'A1', 'Due Pickup Date': '10/19/2026', 'Due Pickup Time': '10:00 AM - 12:00 PM' },
+    { 'OrderID': 'B2', 'Due Pickup Date': '10/19/2026' },
+  ], { now: new Date('2026-10-01T00:00:00Z') });
+  assert.match(ics, /\r\nDTSTART:20261019T150000Z\r\nDTEND:20261019T170000Z\r\n/);
+  assert.match(ics, /\r\nDTSTART;VALUE=DATE:20261019\r\nDTEND;VALUE=DATE:20261020\r\n/);
+});
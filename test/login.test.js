@@ -0,0 +1,26 @@
+const test   = require('node:test');
+const assert = require('node:assert');
+const { loadScript } = require('./browser-script');
+
+function nextFor(next) {
+  const url = new URL('https://shop.test/login.html');
+  if (next !== undefined) url.searchParams.set('next', next);
+  return loadScript('login.js', { url: url.href }).nextPath();
+}
+
+test('nextPath follows same-site paths', () => {
+  assert.strictEqual(nextFor('/bake-list.html?view=all#top'), '/bake-list.html?view=all#top');
+  assert.strictEqual(nextFor(undefined), '/');
+});
+
+test('nextPath refuses other hosts', () => {
+  assert.strictEqual(nextFor('/\\evil.test'), '/');
+  assert.strictEqual(nextFor('//evil.test'), '/');
+  assert.strictEqual(nextFor('https://evil.test/'), '/');
+  assert.strictEqual(nextFor('javascript:alert(1)'), '/');
+});
+
+test('nextPath keeps encoded and dot-segment slashes on this site', () => {
+  assert.strictEqual(nextFor('/%2F%2Fevil.test'), '/%2F%2Fevil.test');
+  assert.strictEqual(nextFor('/.//evil.test'), '/evil.test');
+});
@@ -0,0 +1,25 @@
+const test   = require('node:test');
+const assert = require('node:assert');
+
+const { parseTimeOfDay } = require('../public/print-templates');
+
+test('parseTimeOfDay reads clock times', () => {
+  assert.strictEqual(parseTimeOfDay('2:30 PM'), 14 * 60 + 30);
+  assert.strictEqual(parseTimeOfDay('14:30'), 14 * 60 + 30);
+  assert.strictEqual(parseTimeOfDay('9am'), 9 * 60);
+  assert.strictEqual(parseTimeOfDay('9 a.m.'), 9 * 60);
+  assert.strictEqual(parseTimeOfDay('12:00 AM'), 0);
+  assert.strictEqual(parseTimeOfDay('12:15 pm'), 12 * 60 + 15);
+  assert.strictEqual(parseTimeOfDay('08:05:00'), 8 * 60 + 5);
+});
+
+test('parseTimeOfDay takes the start of a slot', () => {
+  assert.strictEqual(parseTimeOfDay('10:00 AM - 12:00 PM'), 10 * 60);
+  assert.strictEqual(parseTimeOfDay('3 PM–5 PM'), 15 * 60);
+});
+
+test('parseTimeOfDay is null for text that isn\'t a time', () => {
+  for (const text of ['1 Pickup', '2 pieces', '3 Mar', 'Call at 2pm', '11', '13 PM', '25:00', '2:30 PMX', '', null]) {
+    assert.strictEqual(parseTimeOfDay(text), null, JSON.stringify(text));
+  }
+});
@@ -0,0 +1,50 @@
+const test   = require('node:test');
+const assert = require('node:assert');
+
+const { loadScript } = require('./browser-script');
+
+// store-client.js with a fake /api/store that answers with the given responses
+function loadClient(...responses) {
+  const store = new Map();
+  const localStorage = {
+    getItem: key => (store.has(key) ? store.get(key) : null),
+    setItem: (key, value) => store.set(key, String(value)),
+    removeItem: key => store.delete(key),
+  };
+  const fetch = async () => {
+    const next = responses.shift();
+    if (next instanceof Error) throw next;
+    return { status: next.status, ok: next.status < 300, json: async () => next.body };
+  };
+  return { page: loadScript('store-client.js', { fetch, localStorage }), store };
+}
+
+const LOADED = { status: 200, body: { version: 1, data: { steps: ['old'] } } };
+
+test('a saved document is kept locally once the server takes it', async () => {
+  const { page, store } = loadClient(LOADED, { status: 200, body: { version: 2 } });
+  await page.storeLoad('runbook', { legacyKey: 'runbook' });
+  assert.strictEqual(await page.storeSave('runbook', { steps: ['new'] }), true);
+  assert.strictEqual(store.get('runbook'), '{"steps":["new"]}');
+});
+
+test('a refused save leaves the local copy alone', async () => {
+  const { page, store } = loadClient(LOADED, { status: 403, body: { error: 'Managers only' } });
+  await page.storeLoad('runbook', { legacyKey: 'runbook', onError: () => {} });
+  assert.strictEqual(await page.storeSave('runbook', { steps: ['new'] }), false);
+  assert.strictEqual(store.get('runbook'), '{"steps":["old"]}');
+});
+
+test('a save that never reaches the server leaves the local copy alone', async () => {
+  const { page, store } = loadClient(LOADED, new Error('offline'));
+  await page.storeLoad('runbook', { legacyKey: 'runbook', onError: () => {} });
+  assert.strictEqual(await page.storeSave('runbook', { steps: ['new'] }), false);
+  assert.strictEqual(store.get('runbook'), '{"steps":["old"]}');
+});
+
+test('a reset the server refuses leaves the local copy alone', async () => {
+  const { page, store } = loadClient(LOADED, { status: 403, body: { error: 'Managers only' } });
+  await page.storeLoad('runbook', { legacyKey: 'runbook', onError: () => {} });
+  assert.strictEqual(await page.storeReset('runbook'), false);
+  assert.strictEqual(store.get('runbook'), '{"steps":["old"]}');
+});
@@ -0,0 +1,49 @@
+const test   = require('node:test');
+const assert = require('node:assert');
+const fs     = require('fs');
+const os     = require('os');
+const path   = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'bsb-store-test-'));
+process.env.STAFF_ACCOUNTS = JSON.stringify([
+  { name: 'Lee', pin: '1111', role: 'lead' },
+  { name: 'Max', pin: '2222', role: 'manager' },
+]);
+process.env.SESSION_SECRET = 'test-secret';
+delete process.env.AUTH_DISABLED;
+
+const store = require('../api/store/[collection]');
+const { callApi } = require('./api-request');
+
+const LEAD    = { name: 'Lee', role: 'lead' };
+const MANAGER = { name: 'Max', role: 'manager' };
+
+const put = (as, version, data, extra = {}) =>
+  callApi(store, { method: 'PUT', query: { collection: 'stations' }, body: { version, data, ...extra }, as });
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+test('putting back an earlier version needs snapshot.restore, flag or not', async () => {
+  const first  = [{ id: 'a', name: 'Ovens', tasks: [] }];
+  const second = [{ id: 'a', name: 'Ovens', tasks: ['Preheat'] }];
+
+  assert.strictEqual((await put(LEAD, 0, first)).status, 200);
+  assert.strictEqual((await put(LEAD, 1, second)).status, 200);
+
+  // The old version sent as an ordinary save
+  assert.strictEqual((await put(LEAD, 2, first)).status, 403);
+  // Same data with its keys in another order (as jsonb returns it)
+  assert.strictEqual((await put(LEAD, 2, [{ tasks: [], name: 'Ovens', id: 'a' }])).status, 403);
+  assert.strictEqual((await put(LEAD, 2, first, { restore: true })).status, 403);
+
+  const restored = await put(MANAGER, 2, first);
+  assert.strictEqual(restored.status, 200);
+  assert.strictEqual(restored.body.version, 3);
+});
+
+test('new content and re-saving the current version stay with leads', async () => {
+  const current = (await callApi(store, { query: { collection: 'stations' }, as: LEAD })).body;
+  assert.strictEqual(current.history, undefined);
+  assert.strictEqual((await put(LEAD, current.version, current.data)).status, 200);
+  assert.strictEqual((await put(LEAD, current.version + 1, [{ id: 'a', name: 'Fryers', tasks: [] }])).status, 200);
+});